@@ -1,4 +1,38 @@
 (function () { 'use strict';
+    /**
+    The shared implementation of fossen.before, fossen.after and fossen.around. Adds replaceResult to the state and wraps the function
+    (or method through fossen.overrideMethod) with the overrider created by createOverrider.
+    @param {function|object} func The function to advise or the object owning the method.
+    @param {function|string} advice The advice or the method name.
+    @param {function} [methodAdvice] The advice when advising a method.
+    @param {function} createOverrider Given the advice, returns the overrider.
+    @returns {function|object} The advised function or the handle of the advised method.
+    */
+    var adviseWith = function (func, advice, methodAdvice, createOverrider) {
+        var methodName = typeof advice === 'string' ? advice : undefined,
+            overrider;
+
+        advice = methodName === undefined ? advice : methodAdvice;
+        if (typeof advice !== 'function') throw new Error('The advice must be a function');
+
+        overrider = createOverrider(advice);
+        var stateOverrider = function (state) {
+            state.replaced = false;
+            state.result = undefined;
+            state.replaceResult = function (value) {
+                state.replaced = true;
+                state.result = value;
+            };
+            return overrider(state);
+        };
+
+        if (methodName !== undefined) {
+            return pub.overrideMethod(func, methodName, stateOverrider);
+        }
+
+        return pub.copyFunctionSignature(pub.override(func, stateOverrider), func);
+    };
+
     var pub = {
         /**
         Overrides a function with another returning a wrapper for the overridden function that should be placed over the original.
@@ -14,6 +48,8 @@
         //Restore document.querySelector after overriding it
         document.querySelector = document.querySelector.__original;
 
+        To override a method in place with a handle to restore it, see fossen.overrideMethod.
+
         The overrider is given a state object representing the state of the original function that allows for modifications.
         state = {
             original : {function} - The original function that was overridden  
@@ -62,6 +98,393 @@
             return spy;
         },
         /**
+        Overrides a method on an object in place and returns a handle to restore it. Uses fossen.override, so the overrider gets the same state object.
+        Every method keeps a stack of overriders where the last one added is called first and state.callOverridden calls the next one down
+        (the original method at the bottom). Overriders can be restored in any order without breaking the chain and the original method
+        is put back once the last overrider is restored.
+
+        E.g.:
+        var handle = fossen.overrideMethod(document, 'querySelector', function (state) {
+            state.argsAsArray[0] = '#main ' + state.argsAsArray[0];
+            return state.callOverridden();
+        });
+        ...
+        handle.restore();
+
+        fossen.overrideMethod.restoreAll() restores every overridden method (or only those of an object or a single method if given).
+
+        @param {object} obj The object owning the method.
+        @param {string} methodName The name of the method.
+        @param {function} overrider The function that will be called instead of the method (see fossen.override).
+        @returns {object} A handle with restore() (removes this overrider) and restoreAll() (removes every overrider of the method).
+        */
+        overrideMethod: (function () {
+            var registry = new WeakMap(),
+                active = [];
+
+            var compose = function (entry) {
+                entry.composed = entry.stack.reduce(function (func, layer) {
+                    return pub.override(func, layer.overrider);
+                }, entry.original);
+            };
+
+            var getEntry = function (obj, methodName) {
+                var methods = registry.get(obj),
+                    entry;
+
+                if (!methods) {
+                    methods = {};
+                    registry.set(obj, methods);
+                }
+                if (methods.hasOwnProperty(methodName)) return methods[methodName];
+
+                entry = {
+                    obj: obj,
+                    methodName: methodName,
+                    original: obj[methodName],
+                    hadOwnProperty: Object.prototype.hasOwnProperty.call(obj, methodName),
+                    stack: [],
+                    composed: null,
+                    dispatcher: null
+                };
+                if (typeof entry.original !== 'function') throw new Error('Method ' + methodName + ' is not a function');
+
+                entry.dispatcher = function () {
+                    return entry.composed.apply(this, arguments);
+                };
+                entry.dispatcher.__original = entry.original;
+                pub.copyFunctionSignature(entry.dispatcher, entry.original);
+
+                methods[methodName] = entry;
+                active.push(entry);
+                obj[methodName] = entry.dispatcher;
+
+                return entry;
+            };
+
+            var removeEntry = function (entry) {
+                delete registry.get(entry.obj)[entry.methodName];
+                active.splice(active.indexOf(entry), 1);
+                //A dispatcher still referenced by whoever replaced the method now calls straight through
+                entry.composed = entry.original;
+
+                //Leave the method alone if someone else has replaced it since
+                if (entry.obj[entry.methodName] !== entry.dispatcher) return;
+                if (entry.hadOwnProperty) {
+                    entry.obj[entry.methodName] = entry.original;
+                } else {
+                    delete entry.obj[entry.methodName];
+                }
+            };
+
+            var removeLayer = function (entry, layer) {
+                var idx = entry.stack.indexOf(layer);
+                if (idx === -1) return false;
+
+                entry.stack.splice(idx, 1);
+                if (entry.stack.length) {
+                    compose(entry);
+                } else {
+                    removeEntry(entry);
+                }
+                return true;
+            };
+
+            var overrideMethod = function (obj, methodName, overrider) {
+                var entry, layer;
+
+                if (!obj || (typeof obj !== 'object' && typeof obj !== 'function')) throw new Error('obj must be an object');
+                if (typeof overrider !== 'function') throw new Error('Overrider argument must be a function');
+
+                entry = getEntry(obj, methodName);
+                layer = { overrider: overrider };
+                entry.stack.push(layer);
+                compose(entry);
+
+                return {
+                    original: entry.original,
+                    /**
+                    Removes this overrider. Returns false if it was already removed.
+                    */
+                    restore: function () {
+                        return removeLayer(entry, layer);
+                    },
+                    /**
+                    Removes every overrider of the method and puts the original back.
+                    */
+                    restoreAll: function () {
+                        overrideMethod.restoreAll(obj, methodName);
+                    }
+                };
+            };
+
+            /**
+            Restores overridden methods.
+            @param {object} [obj] Only restore methods of this object.
+            @param {string} [methodName] Only restore this method.
+            */
+            overrideMethod.restoreAll = function (obj, methodName) {
+                active.slice().forEach(function (entry) {
+                    if (obj && entry.obj !== obj) return;
+                    if (methodName && entry.methodName !== methodName) return;
+                    entry.stack.length = 0;
+                    removeEntry(entry);
+                });
+            };
+
+            return overrideMethod;
+        })(),
+        /**
+        Spies on a method by overriding it (see fossen.overrideMethod) and recording every call. By default the method is still called.
+        Each recorded call has:
+            thisArg: The "this" of the call
+            args: The arguments
+            returnValue: The value returned (undefined if it threw)
+            error: The error thrown (undefined if it returned)
+            threw: True if the call threw
+            startTime: Date.now() when the call started
+            duration: ms the call took
+        If the method returns a promise the call also gets settled (false until it settles), resolvedValue or rejectedError and asyncDuration.
+        The spy then returns a promise chained to it that settles the same way.
+
+        Supported options:
+        callThrough: bool, call the method (default true). If false the spy returns options.returnValue.
+        returnValue: *, the value returned when callThrough is false
+        maxCalls: int, only keep the latest calls, useful for production diagnostics (default no limit)
+        onCall: function(call), called with each recorded call when it completes
+
+        E.g.:
+        var spy = fossen.spyMethod(fossen, 'ajax');
+        ...
+        expect(spy.callCount).toBe(1);
+        expect(spy.calls[0].args[0].url).toBe('/api/users');
+        spy.restore();
+
+        @param {object} obj The object owning the method.
+        @param {string} methodName The name of the method.
+        @param {object} [options] The options described above.
+        @returns {object} The spy with calls, callCount, lastCall(), reset(), restore() and restoreAll().
+        */
+        spyMethod: function (obj, methodName, options) {
+            var spy, handle;
+
+            options = options || {};
+
+            var record = function (call) {
+                spy.calls.push(call);
+                spy.callCount++;
+                if (options.maxCalls && spy.calls.length > options.maxCalls) spy.calls.shift();
+            };
+
+            var complete = function (call) {
+                if (typeof options.onCall === 'function') options.onCall(call);
+            };
+
+            handle = pub.overrideMethod(obj, methodName, function (state) {
+                var call = {
+                    thisArg: state.thisArg,
+                    args: state.argsAsArray.slice(),
+                    returnValue: undefined,
+                    error: undefined,
+                    threw: false,
+                    startTime: Date.now(),
+                    duration: 0
+                };
+
+                record(call);
+                try {
+                    call.returnValue = options.callThrough === false ? options.returnValue : state.callOverridden();
+                } catch (e) {
+                    call.error = e;
+                    call.threw = true;
+                    call.duration = Date.now() - call.startTime;
+                    complete(call);
+                    throw e;
+                }
+                call.duration = Date.now() - call.startTime;
+
+                if (call.returnValue && typeof call.returnValue.then === 'function') {
+                    call.settled = false;
+
+                    var settle = function () {
+                        call.settled = true;
+                        call.asyncDuration = Date.now() - call.startTime;
+                        complete(call);
+                    };
+
+                    //Returns a chained promise that rejects with the same error, so the spy does not handle rejections the caller leaves unhandled
+                    return call.returnValue.then(function (value) {
+                        call.resolvedValue = value;
+                        settle();
+                        return value;
+                    }, function (error) {
+                        call.rejectedError = error;
+                        settle();
+                        throw error;
+                    });
+                }
+
+                complete(call);
+
+                return call.returnValue;
+            });
+
+            spy = {
+                calls: [],
+                callCount: 0,
+                lastCall: function () {
+                    return spy.calls[spy.calls.length - 1];
+                },
+                reset: function () {
+                    spy.calls.length = 0;
+                    spy.callCount = 0;
+                },
+                restore: handle.restore,
+                restoreAll: handle.restoreAll
+            };
+
+            return spy;
+        },
+        /**
+        Copies the name and length of one function to another, so wrappers look like the function they wrap (e.g. for libraries that check func.length).
+        @param {function} target The function to modify.
+        @param {function} source The function to copy name and length from.
+        @returns {function} The target function.
+        */
+        copyFunctionSignature: function (target, source) {
+            ['name', 'length'].forEach(function (property) {
+                try {
+                    Object.defineProperty(target, property, { value: source[property], configurable: true });
+                } catch (e) {
+                    //Older browsers do not allow redefining name and length
+                }
+            });
+            return target;
+        },
+        /**
+        Runs advice before a function. The advice gets the state object of fossen.override and may change state.argsAsArray and state.thisArg
+        before the function is called, or call state.replaceResult(value) to skip the function and return the value instead.
+        If the advice returns a promise the function is called once it resolves and the wrapper returns a promise.
+
+        The wrapper keeps "this" and the name and length of the function. Give an object and a method name instead of a function to advise the
+        method in place, a handle from fossen.overrideMethod is then returned.
+
+        E.g.:
+        save = fossen.before(save, function (state) {
+            if (!state.argsAsArray[0].isDirty) state.replaceResult(Promise.resolve(null));
+        });
+        var handle = fossen.before(api, 'load', function (state) { return ensureLoggedIn(); });
+
+        @param {function|object} func The function to advise or the object owning the method.
+        @param {function|string} advice The advice or the method name.
+        @param {function} [methodAdvice] The advice when advising a method.
+        @returns {function|object} The advised function or the handle of the advised method.
+        */
+        before: function (func, advice) {
+            return adviseWith(func, advice, arguments[2], function (advice) {
+                return function (state) {
+                    var adviceResult = advice(state);
+
+                    var proceed = function () {
+                        return state.replaced ? state.result : state.callOverridden();
+                    };
+
+                    return adviceResult && typeof adviceResult.then === 'function' ? adviceResult.then(proceed) : proceed();
+                };
+            });
+        },
+        /**
+        Runs advice after a function. The advice gets the state object of fossen.override extended with:
+            result: The value returned by the function, or the resolved value if it returned a promise
+            error: The error thrown by the function, or the rejection if it returned a promise
+            threw: True if the function threw or its promise rejected
+        The advice can call state.replaceResult(value) to return (or resolve with) another value, which also recovers from an error.
+        Otherwise the original result is returned or the error rethrown. If the advice returns a promise it is waited for before settling.
+
+        See fossen.before for advising methods in place, "this", name and length are kept in the same way.
+
+        E.g.:
+        getUser = fossen.after(getUser, function (state) {
+            if (state.threw && state.error.status === 404) state.replaceResult(null);
+            else if (!state.threw) state.replaceResult(new User(state.result.data));
+        });
+
+        @param {function|object} func The function to advise or the object owning the method.
+        @param {function|string} advice The advice or the method name.
+        @param {function} [methodAdvice] The advice when advising a method.
+        @returns {function|object} The advised function or the handle of the advised method.
+        */
+        after: function (func, advice) {
+            return adviseWith(func, advice, arguments[2], function (advice) {
+                return function (state) {
+                    var result;
+
+                    var finish = function (value, error, threw) {
+                        var adviceResult;
+
+                        var settle = function () {
+                            if (state.replaced) return state.result;
+                            if (threw) throw error;
+                            return value;
+                        };
+
+                        state.result = value;
+                        state.error = error;
+                        state.threw = threw;
+                        state.replaced = false;
+                        adviceResult = advice(state);
+
+                        return adviceResult && typeof adviceResult.then === 'function' ? adviceResult.then(settle) : settle();
+                    };
+
+                    try {
+                        result = state.callOverridden();
+                    } catch (e) {
+                        return finish(undefined, e, true);
+                    }
+
+                    if (result && typeof result.then === 'function') {
+                        return result.then(function (value) {
+                            return finish(value, undefined, false);
+                        }, function (error) {
+                            return finish(undefined, error, true);
+                        });
+                    }
+
+                    return finish(result, undefined, false);
+                };
+            });
+        },
+        /**
+        Runs advice around a function. The advice gets the state object of fossen.override where state.proceed() (the same as state.callOverridden)
+        calls the function, and whatever the advice returns is returned by the wrapper. Not calling state.proceed short-circuits the function.
+        To work with the result of promise returning functions return state.proceed().then(...) from the advice.
+
+        See fossen.before for advising methods in place, "this", name and length are kept in the same way.
+
+        E.g.:
+        fetchReport = fossen.around(fetchReport, function (state) {
+            var started = Date.now();
+            return state.proceed().then(function (report) {
+                report.loadTime = Date.now() - started;
+                return report;
+            });
+        });
+
+        @param {function|object} func The function to advise or the object owning the method.
+        @param {function|string} advice The advice or the method name.
+        @param {function} [methodAdvice] The advice when advising a method.
+        @returns {function|object} The advised function or the handle of the advised method.
+        */
+        around: function (func, advice) {
+            return adviseWith(func, advice, arguments[2], function (advice) {
+                return function (state) {
+                    state.proceed = state.callOverridden;
+                    return advice(state);
+                };
+            });
+        },
+        /**
         Converts an array-like object to an actual array or copies one array into a new one.
         @param {array-like} arrayLike - An object that is similar to an array (arguments/nodelist...).
         @returns {array} - An actual array containing the same elements in the same order as the array-like.
@@ -70,7 +493,124 @@
             return Array.prototype.slice.call(arrayLike);
         },
         /**
+        Creates a readable url-safe slug from a string. Letters are transliterated with the table of the locale, anything left is decomposed
+        (Unicode NFKD) and stripped of accents and every other character becomes a separator. Repeated separators are collapsed and
+        leading and trailing separators removed.
+
+        Supported options:
+        locale: string, one of nb, nn, no, sv, da, de and fi (a region like nb-NO is ignored). Decides e.g. if ø becomes o (nb) or oe (da) and ä
+                becomes ae (de) or a (sv). Default fossen.slugify.defaults.locale (none, only the common table and NFKD).
+        separator: string, default '-'
+        case: string, 'lower' (default), 'upper' or 'preserve'
+        allowed: string, extra characters that are kept as they are, e.g. '_'. Default ''.
+        maxLength: int, the slug is cut at the last separator before this length (or at the length if the first word is longer)
+        existing: string[]|Set|function(slug), slugs that are taken (a function returns true if taken). A taken slug gets a number appended,
+                  e.g. "my-post-2". Throws if no number up to 10000 gives a free slug or the number does not fit in maxLength.
+
+        E.g.:
+        fossen.slugify('Café Ürün') // 'cafe-urun'
+        fossen.slugify('Smørbrød på Æbeltoft', { locale: 'da' }) // 'smoerbroed-paa-aebeltoft'
+        fossen.slugify('Grüße aus Köln', { locale: 'de', existing: ['gruesse-aus-koeln'] }) // 'gruesse-aus-koeln-2'
+
+        @param {string} str The string to create a slug from.
+        @param {object} [options] The options described above.
+        @returns {string} The slug.
+        */
+        slugify: (function () {
+            var common = {
+                    'æ': 'ae', 'ø': 'o', 'œ': 'oe', 'ß': 'ss', 'þ': 'th', 'ð': 'd', 'đ': 'd', 'ł': 'l', 'ı': 'i', 'ħ': 'h', 'ŧ': 't', '&': 'and'
+                },
+                norwegian = { 'æ': 'ae', 'ø': 'o', 'å': 'a' },
+                locales = {
+                    nb: norwegian,
+                    nn: norwegian,
+                    no: norwegian,
+                    da: { 'æ': 'ae', 'ø': 'oe', 'å': 'aa' },
+                    sv: { 'å': 'a', 'ä': 'a', 'ö': 'o' },
+                    fi: { 'å': 'a', 'ä': 'a', 'ö': 'o' },
+                    de: { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' }
+                };
+
+            var escapeRegExp = function (str) {
+                return str.replace(/[-.*+?^${}()|[\]\\\/]/g, '\\$&');
+            };
+
+            var transliterate = function (str, table) {
+                return str.replace(/[^\u0000-\u007f]|&/g, function (ch) {
+                    var lower = ch.toLowerCase(),
+                        replacement = table.hasOwnProperty(lower) ? table[lower] : common.hasOwnProperty(lower) ? common[lower] : null;
+
+                    if (replacement === null) return ch;
+                    //Keep the case of upper case letters for case: 'preserve', e.g. Ø -> Oe
+                    return lower === ch ? replacement : replacement.charAt(0).toUpperCase() + replacement.substr(1);
+                });
+            };
+
+            //The highest number tried as a suffix before giving up on finding a unique slug
+            var maxSuffix = 10000;
+
+            var isTaken = function (existing, slug) {
+                if (!existing) return false;
+                if (typeof existing === 'function') return !!existing(slug);
+                if (typeof existing.has === 'function') return existing.has(slug);
+                return existing.indexOf(slug) !== -1;
+            };
+
+            var truncate = function (slug, maxLength, separator) {
+                var cut;
+
+                if (!maxLength || slug.length <= maxLength) return slug;
+                cut = slug.lastIndexOf(separator, maxLength);
+                return cut > 0 ? slug.substr(0, cut) : slug.substr(0, maxLength);
+            };
+
+            var slugify = function (str, options) {
+                var separator, locale, slug, candidate, number = 2, suffix;
+
+                options = options || {};
+                separator = options.separator !== undefined ? options.separator : '-';
+                locale = String(options.locale || slugify.defaults.locale || '').toLowerCase().split(/[-_]/)[0];
+
+                slug = transliterate(String(str === null || str === undefined ? '' : str), locales[locale] || {});
+                if (slug.normalize) slug = slug.normalize('NFKD');
+                slug = slug.replace(/[\u0300-\u036f]/g, '');
+
+                if (options['case'] === 'upper') {
+                    slug = slug.toUpperCase();
+                } else if (options['case'] !== 'preserve') {
+                    slug = slug.toLowerCase();
+                }
+
+                slug = slug.replace(new RegExp('[^a-z0-9' + escapeRegExp(options.allowed || '') + ']+', 'gi'), separator);
+                if (separator) {
+                    slug = slug.replace(new RegExp('(?:' + escapeRegExp(separator) + ')+', 'g'), separator);
+                    slug = slug.replace(new RegExp('^(?:' + escapeRegExp(separator) + ')|(?:' + escapeRegExp(separator) + ')$', 'g'), '');
+                }
+
+                slug = truncate(slug, options.maxLength, separator);
+
+                candidate = slug;
+                while (isTaken(options.existing, candidate)) {
+                    if (number > maxSuffix) throw new Error('No unique slug was found for "' + slug + '"');
+                    suffix = separator + number++;
+                    if (options.maxLength && suffix.length >= options.maxLength) {
+                        throw new Error('No unique slug for "' + slug + '" fits in ' + options.maxLength + ' characters');
+                    }
+                    candidate = truncate(slug, options.maxLength ? options.maxLength - suffix.length : 0, separator) + suffix;
+                }
+
+                return candidate;
+            };
+
+            slugify.defaults = { locale: null };
+            slugify.locales = locales;
+
+            return slugify;
+        })(),
+        /**
         Converts an unsafe string into a readable url-safe string (removing or translating illegal characters).
+        @deprecated Use fossen.slugify, which transliterates other letters than æ, ø and å and collapses separators. The output of this function is kept
+        unchanged so slugs that are already stored stay valid.
         @param {string} unsafeString - The unsafe string to clean.
         @returns {string} - The safe string.
         */
@@ -149,6 +689,262 @@
             return pub.queryStringAsObject()[queryParam];
         },
         /**
+        Parses the query string of any url or query string into an object. Unlike fossen.queryStringAsObject it does not read location.search.
+        - "+" is decoded as a space and keys without "=" get an empty string as value.
+        - Repeated keys become arrays: a=1&a=2 gives {a: ['1', '2']}.
+        - Bracket notation creates nested objects and arrays: a[b][]=1&a[c]=2 gives {a: {b: ['1'], c: '2'}}, items[0]=x&items[1]=y gives {items: ['x', 'y']}.
+        - With options.allowDots dots also create nested objects (as in ASP.NET MVC model binding): items[0].name=x gives {items: [{name: 'x'}]}.
+        Keys named __proto__, constructor or prototype are ignored.
+        @param {string} [urlOrQuery=location.search] A full url, a query string starting with "?" or a bare query string.
+        @param {object} [options] Optional {allowDots: bool}
+        @returns {object} The query string represented as an object.
+        */
+        parseQueryString: (function () {
+            var forbiddenKeys = ['__proto__', 'constructor', 'prototype'],
+                maxArrayIndex = 1000;
+
+            var decode = function (str) {
+                str = str.replace(/\+/g, ' ');
+                try {
+                    return decodeURIComponent(str);
+                } catch (e) {
+                    return str;
+                }
+            };
+
+            var splitKey = function (key, allowDots) {
+                var segments = [],
+                    root = key.match(allowDots ? /^[^\[.]*/ : /^[^\[]*/)[0],
+                    rest = key.substr(root.length),
+                    segmentPattern = allowDots ? /^(?:\[([^\]]*)\]|\.([^\[.]+))/ : /^\[([^\]]*)\]/,
+                    match;
+
+                if (!root) return [key];
+                segments.push(root);
+                while (rest && (match = segmentPattern.exec(rest))) {
+                    segments.push(match[1] !== undefined ? match[1] : match[2]);
+                    rest = rest.substr(match[0].length);
+                }
+                //Anything that does not follow the notation is kept as part of the last segment
+                if (rest) segments[segments.length - 1] += rest;
+
+                return segments;
+            };
+
+            var isIndex = function (segment) {
+                return /^\d+$/.test(segment) && parseInt(segment, 10) <= maxArrayIndex;
+            };
+
+            var assignValue = function (container, segments, value) {
+                var segment = segments[0],
+                    isLast = segments.length === 1,
+                    exists, next;
+
+                if (segment === '' && Array.isArray(container)) segment = container.length;
+                if (forbiddenKeys.indexOf(String(segment)) !== -1) return;
+
+                //Inherited members like toString are not values of the query string
+                exists = Object.prototype.hasOwnProperty.call(container, segment) && container[segment] !== undefined;
+
+                if (isLast) {
+                    if (!exists) {
+                        container[segment] = value;
+                    } else if (Array.isArray(container[segment])) {
+                        container[segment].push(value);
+                    } else {
+                        container[segment] = [container[segment], value];
+                    }
+                    return;
+                }
+
+                next = exists ? container[segment] : undefined;
+                if (next === undefined || typeof next !== 'object') {
+                    next = container[segment] = (segments[1] === '' || isIndex(segments[1])) ? [] : {};
+                } else if (Array.isArray(next) && segments[1] !== '' && !isIndex(segments[1])) {
+                    //Convert the array to an object when a named key is mixed into it
+                    next = container[segment] = pub.assign({}, next);
+                }
+                assignValue(next, segments.slice(1), value);
+            };
+
+            return function (urlOrQuery, options) {
+                var result = {},
+                    query = urlOrQuery === undefined ? location.search : String(urlOrQuery),
+                    questionMark = query.indexOf('?');
+
+                options = options || {};
+
+                if (questionMark !== -1) {
+                    query = query.substr(questionMark + 1);
+                } else if (/^[a-z][a-z0-9+.\-]*:|^[\/#]/i.test(query)) {
+                    query = '';
+                }
+                query = query.split('#')[0];
+
+                query.split('&').forEach(function (pair) {
+                    var equals = pair.indexOf('='),
+                        key = decode(equals === -1 ? pair : pair.substr(0, equals)),
+                        value = equals === -1 ? '' : decode(pair.substr(equals + 1));
+
+                    if (!key) return;
+                    assignValue(result, splitKey(key, options.allowDots), value);
+                });
+
+                return result;
+            };
+        })(),
+        /**
+        Converts an object to a query string (without a leading "?"). Keys and values are encoded, nested objects and arrays are supported.
+        undefined values are skipped, null values are written as empty values and Dates are written as ISO strings.
+
+        Supported options:
+        arrayFormat: string, how arrays are written:
+            'repeat' (default) - a=1&a=2 (ASP.NET MVC binding of simple collections)
+            'brackets' - a[]=1&a[]=2
+            'indices' - a[0]=1&a[1]=2 (ASP.NET MVC binding of collections of complex objects, combine with allowDots)
+        allowDots: bool, write nested object keys with dots (a.b=1) instead of brackets (a[b]=1). Default false.
+        sort: bool|function, sort keys at every level alphabetically (true) or with the given compare function for a stable order. Default false (insertion order).
+
+        E.g.:
+        fossen.stringifyQueryString({ page: 2, items: [{ id: 1 }] }, { arrayFormat: 'indices', allowDots: true })
+        returns "page=2&items[0].id=1"
+
+        @param {object} obj The object to convert.
+        @param {object} [options] The options described above.
+        @returns {string} The query string.
+        */
+        stringifyQueryString: function (obj, options) {
+            var pairs = [],
+                sort;
+
+            options = options || {};
+            sort = typeof options.sort === 'function' ? options.sort : options.sort ? undefined : false;
+
+            var keysOf = function (value) {
+                var keys = Object.keys(value);
+                return sort === false ? keys : keys.sort(sort);
+            };
+
+            var isDate = function (value) {
+                return Object.prototype.toString.call(value) === '[object Date]';
+            };
+
+            var add = function (prefix, value) {
+                if (value === undefined || typeof value === 'function') return;
+
+                if (isDate(value)) {
+                    value = value.toISOString();
+                }
+
+                if (Array.isArray(value)) {
+                    value.forEach(function (item, idx) {
+                        var isComplex = item !== null && typeof item === 'object' && !isDate(item);
+                        if (options.arrayFormat === 'indices' || (isComplex && options.arrayFormat !== 'brackets')) {
+                            add(prefix + '[' + idx + ']', item);
+                        } else if (options.arrayFormat === 'brackets') {
+                            add(prefix + '[]', item);
+                        } else {
+                            add(prefix, item);
+                        }
+                    });
+                    return;
+                }
+
+                if (value !== null && typeof value === 'object') {
+                    keysOf(value).forEach(function (key) {
+                        add(options.allowDots ? prefix + '.' + encodeURIComponent(key) : prefix + '[' + encodeURIComponent(key) + ']', value[key]);
+                    });
+                    return;
+                }
+
+                pairs.push(prefix + '=' + encodeURIComponent(value === null ? '' : value));
+            };
+
+            keysOf(obj || {}).forEach(function (key) {
+                add(encodeURIComponent(key), obj[key]);
+            });
+
+            return pairs.join('&');
+        },
+        /**
+        Sets query parameters on a url without touching the rest of it. Existing parameters with the same name (including bracket or dot notation variants
+        such as a[]=1 or a.b=2 for "a") are replaced in place, other parameters are left exactly as they were and new ones are appended.
+        Parameters with null or undefined values are removed.
+
+        E.g.:
+        fossen.setQueryParams('/orders?page=1&sort=date#top', { page: 2, tags: ['a', 'b'] })
+        returns "/orders?page=2&sort=date&tags=a&tags=b#top"
+
+        @param {string} url The url to modify.
+        @param {object} params The parameters to set.
+        @param {object} [options] Options given to fossen.stringifyQueryString for the new values.
+        @returns {string} The modified url.
+        */
+        setQueryParams: function (url, params, options) {
+            var hashIndex = url.indexOf('#'),
+                hash = hashIndex === -1 ? '' : url.substr(hashIndex),
+                withoutHash = hashIndex === -1 ? url : url.substr(0, hashIndex),
+                questionMark = withoutHash.indexOf('?'),
+                base = questionMark === -1 ? withoutHash : withoutHash.substr(0, questionMark),
+                query = questionMark === -1 ? '' : withoutHash.substr(questionMark + 1),
+                names = Object.keys(params),
+                inserted = {},
+                pairs = [];
+
+            var rootName = function (pair) {
+                var key = pair.split('=')[0].replace(/\+/g, ' ');
+                try {
+                    key = decodeURIComponent(key);
+                } catch (e) { }
+                return key.match(/^[^\[.]*/)[0];
+            };
+
+            var replacement = function (name) {
+                var single = {};
+
+                inserted[name] = true;
+                //stringifyQueryString writes null as an empty value, here it removes the parameter
+                if (params[name] === null || params[name] === undefined) return '';
+                single[name] = params[name];
+                return pub.stringifyQueryString(single, options);
+            };
+
+            query.split('&').forEach(function (pair) {
+                var name = rootName(pair);
+
+                if (!pair) return;
+                if (names.indexOf(name) === -1) {
+                    pairs.push(pair);
+                } else if (!inserted[name]) {
+                    pairs.push(replacement(name));
+                }
+            });
+            names.forEach(function (name) {
+                if (!inserted[name]) pairs.push(replacement(name));
+            });
+
+            pairs = pairs.filter(function (pair) {
+                return !!pair;
+            });
+
+            return base + (pairs.length ? '?' + pairs.join('&') : '') + hash;
+        },
+        /**
+        Removes query parameters from a url without touching the rest of it (see fossen.setQueryParams).
+        @param {string} url The url to modify.
+        @param {string|string[]} names The name or names of the parameters to remove.
+        @returns {string} The modified url.
+        */
+        removeQueryParams: function (url, names) {
+            var params = {};
+
+            (Array.isArray(names) ? names : [names]).forEach(function (name) {
+                params[name] = undefined;
+            });
+
+            return pub.setQueryParams(url, params);
+        },
+        /**
         Checks if the given url is absolute.
         @param {url} url The url to check
         @param {bool} [noProtocolImpliesAbsolute=false] If true urls that are protocol relative will be interpreted as absolute (e.g.: //ajax.googleapis.com/ajax/libs/jquery/1.4.2/jquery.js)
@@ -165,18 +961,128 @@
                 normalizedUrl.indexOf('file://') === 0);
         },
         /**
-        Checks if the given url is local (shares the same host and protocol) to the domain or not.
+        Checks if the given url is local (shares the same origin: scheme, host and port) to the domain or not.
+        Relative urls are resolved against the current location the way a browser would, so protocol-relative urls (//evil.com), urls with backslashes
+        (/\evil.com) and urls with other schemes (javascript:, data:, mailto:...) are not local. Tabs and newlines are ignored like browsers do.
         @param {url} url The url to check
+        @returns {bool} True if the url has the same origin as the current location.
         */
         urlIsLocal: function (url) {
-            if (!pub.urlIsAbsolute(url)) return true;
-
-            var normalizedUrl = url.toLowerCase(),
-                locationDomain = (location.protocol + '//' + location.host + '/').toLowerCase();
-
-            return (normalizedUrl.indexOf(locationDomain) === 0);
+            var origin = pub.urlOrigin(url);
+            return origin !== null && origin === pub.urlOrigin(location.href);
         },
         /**
+        Returns the origin (scheme://host[:port]) of a url resolved against the current location, with default ports removed and scheme and host lowercased.
+        Backslashes are treated as slashes and tabs and newlines are removed like browsers do, so the result matches where a browser would navigate.
+        @param {string} url The url to find the origin of.
+        @returns {string} The origin or null if the url has no http(s) origin (e.g. javascript: or mailto: urls).
+        */
+        urlOrigin: function (url) {
+            var cleanUrl = String(url).replace(/[\t\n\r]/g, '').replace(/^[\u0000- ]+|[\u0000- ]+$/g, '').replace(/\\/g, '/'),
+                parts = pub.parseUrl(pub.resolveUrl(location.href, cleanUrl)),
+                defaultPorts = { http: '80', https: '443' };
+
+            if (!defaultPorts[parts.scheme] || !parts.host) return null;
+
+            return parts.scheme + '://' + parts.host + (parts.port && parts.port !== defaultPorts[parts.scheme] ? ':' + parts.port : '');
+        },
+        /**
+        Checks if two urls have the same origin (see fossen.urlOrigin).
+        @param {string} url The url to check.
+        @param {string} [otherUrl=location.href] The url to compare with.
+        @returns {bool} True if both urls have the same http(s) origin.
+        */
+        isSameOrigin: function (url, otherUrl) {
+            var origin = pub.urlOrigin(url);
+            return origin !== null && origin === pub.urlOrigin(otherUrl === undefined ? location.href : otherUrl);
+        },
+        /**
+        Validates a redirect target such as a returnUrl query parameter and returns it as an absolute url if it is safe to navigate to.
+        A url is rejected if:
+        - It has a scheme other than http or https (javascript:, data:, vbscript:...).
+        - It contains backslashes or control characters, also when percent-encoded.
+        - It only becomes protocol-relative (//evil.com) or contains dot segments after percent-decoding (e.g. /%2F%2Fevil.com or /%2e%2e/admin).
+        - Its origin is not the current origin or one of allowlist.origins.
+        - allowlist.paths is given and its path matches none of the patterns.
+
+        Origins may use * for a subdomain (https://*.example.com). Path patterns are strings where * matches anything (/app/*) or regular expressions.
+
+        E.g.:
+        location.href = fossen.safeRedirectTarget(fossen.queryString('returnUrl'), { paths: ['/app/*'] }, '/app/');
+
+        @param {string} url The redirect target to validate.
+        @param {object} [allowlist] Optional {origins: string[], paths: (string|RegExp)[]}
+        @param {string} [fallback=null] The value returned if the url is rejected.
+        @returns {string} The absolute url or the fallback if the url is not safe.
+        */
+        safeRedirectTarget: (function () {
+            var unsafeCharacters = /[\u0000-\u001f\u007f\\]/,
+                dotSegment = /(^|\/)\.\.?(\/|$)/;
+
+            var toRegExp = function (pattern, wildcard) {
+                if (Object.prototype.toString.call(pattern) === '[object RegExp]') return pattern;
+                return new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, wildcard) + '$', 'i');
+            };
+
+            var fullyDecode = function (str) {
+                var decoded, i;
+                for (i = 0; i < 5; i++) {
+                    decoded = decodeURIComponent(str);
+                    if (decoded === str) return decoded;
+                    str = decoded;
+                }
+                return str;
+            };
+
+            return function (url, allowlist, fallback) {
+                var decoded, resolved, origin, path, origins, paths;
+
+                fallback = fallback === undefined ? null : fallback;
+                allowlist = allowlist || {};
+
+                if (typeof url !== 'string' || !url.trim() || unsafeCharacters.test(url)) return fallback;
+                url = url.trim();
+
+                try {
+                    decoded = fullyDecode(url);
+                } catch (e) {
+                    return fallback;
+                }
+                if (unsafeCharacters.test(decoded)) return fallback;
+                if (url.indexOf('//') !== 0 && decoded.indexOf('//') === 0) return fallback;
+                if (/^[a-z][a-z0-9+.\-]*:/i.test(decoded) && !/^https?:\/\//i.test(decoded)) return fallback;
+                //Check the path as given, normalizeUrl would decode %2e and remove the dot segments
+                if (dotSegment.test(fullyDecode(url.split(/[?#]/)[0]))) return fallback;
+
+                resolved = pub.normalizeUrl(pub.resolveUrl(location.href, url));
+                origin = pub.urlOrigin(resolved);
+                if (origin === null) return fallback;
+
+                origins = (allowlist.origins || []).map(function (pattern) {
+                    return toRegExp(pattern.indexOf('*') === -1 ? pub.urlOrigin(pattern) || pattern : pattern.replace(/\/+$/, ''), '[a-z0-9\\-]+(?:\\.[a-z0-9\\-]+)*');
+                });
+                if (origin !== pub.urlOrigin(location.href) && !origins.some(function (pattern) { return pattern.test(origin); })) {
+                    return fallback;
+                }
+
+                try {
+                    path = fullyDecode(pub.parseUrl(resolved).path);
+                } catch (e) {
+                    return fallback;
+                }
+                if (dotSegment.test(path)) return fallback;
+
+                paths = (allowlist.paths || []).map(function (pattern) {
+                    return toRegExp(pattern, '.*');
+                });
+                if (paths.length && !paths.some(function (pattern) { return pattern.test(path); })) {
+                    return fallback;
+                }
+
+                return resolved;
+            };
+        })(),
+        /**
         Concatenates one or more url fragments by ensuring they are separated by a single / character. Supports both first argument as array or multiple arguments to concatenate.
         @param {...string|string[]} fragments - Two or more fragments to concatenate.
         @returns {string} - The concatenated url.
@@ -196,6 +1102,334 @@
             return cString.substr(0, cString.length - 1);
         },
         /**
+        Splits a url into its RFC 3986 components. Parts that are missing from the url are undefined (an empty query "?" gives query ""),
+        so the url can be put back together exactly with fossen.formatUrl.
+        Returns an object with:
+            scheme: The lowercase scheme without ":" (e.g. "https")
+            authority: Everything between "//" and the path (e.g. "user@host:8080")
+            userInfo: The user info part of the authority
+            host: The host (lowercase for registered names)
+            port: The port as a string
+            path: The path (may be empty)
+            query: The query without "?"
+            fragment: The fragment without "#"
+        @param {string} url The url to parse.
+        @returns {object} The url components.
+        */
+        parseUrl: function (url) {
+            var match = /^(?:([^:\/?#]+):)?(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#([\s\S]*))?$/.exec(url),
+                authorityMatch,
+                parts = {
+                    scheme: match[1] === undefined ? undefined : match[1].toLowerCase(),
+                    authority: match[2],
+                    userInfo: undefined,
+                    host: undefined,
+                    port: undefined,
+                    path: match[3],
+                    query: match[4],
+                    fragment: match[5]
+                };
+
+            if (parts.authority !== undefined) {
+                authorityMatch = /^(?:([^@]*)@)?(\[[^\]]*\]|[^:]*)(?::(\d*))?$/.exec(parts.authority) || [];
+                parts.userInfo = authorityMatch[1];
+                parts.host = (authorityMatch[2] || '').toLowerCase();
+                parts.port = authorityMatch[3];
+            }
+
+            return parts;
+        },
+        /**
+        Puts url components (see fossen.parseUrl) back together. The authority is rebuilt from userInfo, host and port if authority is undefined.
+        @param {object} parts The url components.
+        @returns {string} The url.
+        */
+        formatUrl: function (parts) {
+            var url = '',
+                authority = parts.authority;
+
+            if (authority === undefined && parts.host !== undefined) {
+                authority = (parts.userInfo !== undefined ? parts.userInfo + '@' : '') + parts.host + (parts.port ? ':' + parts.port : '');
+            }
+
+            if (parts.scheme !== undefined) url += parts.scheme + ':';
+            if (authority !== undefined) url += '//' + authority;
+            url += parts.path || '';
+            if (parts.query !== undefined) url += '?' + parts.query;
+            if (parts.fragment !== undefined) url += '#' + parts.fragment;
+
+            return url;
+        },
+        /**
+        Removes "." and ".." segments from a url path as described in RFC 3986 section 5.2.4.
+        e.g.: /a/b/c/./../../g returns /a/g
+        @param {string} path The path to clean.
+        @returns {string} The path without dot segments.
+        */
+        removeDotSegments: function (path) {
+            var input = path,
+                output = [],
+                segment;
+
+            while (input.length) {
+                if (input.indexOf('../') === 0) {
+                    input = input.substr(3);
+                } else if (input.indexOf('./') === 0) {
+                    input = input.substr(2);
+                } else if (input.indexOf('/./') === 0) {
+                    input = input.substr(2);
+                } else if (input === '/.') {
+                    input = '/';
+                } else if (input.indexOf('/../') === 0 || input === '/..') {
+                    input = '/' + input.substr(input === '/..' ? 3 : 4);
+                    output.pop();
+                } else if (input === '.' || input === '..') {
+                    input = '';
+                } else {
+                    segment = input.match(/^\/?[^\/]*/)[0];
+                    input = input.substr(segment.length);
+                    output.push(segment);
+                }
+            }
+
+            return output.join('');
+        },
+        /**
+        Resolves a relative url against a base url as described in RFC 3986 section 5.2, the way a browser resolves a link.
+        e.g.:
+        resolveUrl('http://a/b/c/d;p?q', '../g?y#s') returns "http://a/b/g?y#s"
+        @param {string} [base=location.href] The absolute base url.
+        @param {string} relative The url to resolve, returned normalized as is if it is already absolute.
+        @returns {string} The resolved url.
+        */
+        resolveUrl: function (base, relative) {
+            var target = {},
+                baseParts, relativeParts;
+
+            if (relative === undefined) {
+                relative = base;
+                base = location.href;
+            }
+
+            baseParts = pub.parseUrl(base);
+            relativeParts = pub.parseUrl(relative);
+
+            if (relativeParts.scheme !== undefined) {
+                target.scheme = relativeParts.scheme;
+                target.authority = relativeParts.authority;
+                target.path = pub.removeDotSegments(relativeParts.path);
+                target.query = relativeParts.query;
+            } else {
+                if (relativeParts.authority !== undefined) {
+                    target.authority = relativeParts.authority;
+                    target.path = pub.removeDotSegments(relativeParts.path);
+                    target.query = relativeParts.query;
+                } else {
+                    if (relativeParts.path === '') {
+                        target.path = baseParts.path;
+                        target.query = relativeParts.query !== undefined ? relativeParts.query : baseParts.query;
+                    } else {
+                        if (relativeParts.path[0] === '/') {
+                            target.path = pub.removeDotSegments(relativeParts.path);
+                        } else {
+                            //Merge the paths (RFC 3986 section 5.2.3)
+                            target.path = baseParts.authority !== undefined && baseParts.path === '' ?
+                                '/' + relativeParts.path :
+                                baseParts.path.substr(0, baseParts.path.lastIndexOf('/') + 1) + relativeParts.path;
+                            target.path = pub.removeDotSegments(target.path);
+                        }
+                        target.query = relativeParts.query;
+                    }
+                    target.authority = baseParts.authority;
+                }
+                target.scheme = baseParts.scheme;
+            }
+            target.fragment = relativeParts.fragment;
+
+            return pub.formatUrl(target);
+        },
+        /**
+        Normalizes a url so equivalent urls compare equal:
+        - The scheme and host are lowercased and default ports (http 80, https 443, ws 80, wss 443, ftp 21) are removed.
+        - "." and ".." path segments are removed and an empty path with a host becomes "/".
+        - Percent-encodings are uppercased and unreserved characters that were needlessly encoded (e.g. %7E) are decoded.
+        @param {string} url The url to normalize.
+        @returns {string} The normalized url.
+        */
+        normalizeUrl: (function () {
+            var defaultPorts = { http: '80', https: '443', ws: '80', wss: '443', ftp: '21' };
+
+            var normalizeEncoding = function (str) {
+                return str === undefined ? str : str.replace(/%([0-9a-f]{2})/gi, function (match, hex) {
+                    var character = String.fromCharCode(parseInt(hex, 16));
+                    return /[A-Za-z0-9\-._~]/.test(character) ? character : '%' + hex.toUpperCase();
+                });
+            };
+
+            return function (url) {
+                var parts = pub.parseUrl(url.trim());
+
+                if (parts.authority !== undefined) {
+                    if (parts.port === '' || (parts.scheme && defaultPorts[parts.scheme] === parts.port)) {
+                        parts.port = undefined;
+                    }
+                    parts.authority = undefined;
+                    if (parts.path === '') parts.path = '/';
+                }
+                parts.path = pub.removeDotSegments(normalizeEncoding(parts.path));
+                parts.query = normalizeEncoding(parts.query);
+                parts.fragment = normalizeEncoding(parts.fragment);
+
+                return pub.formatUrl(parts);
+            };
+        })(),
+        /**
+        Joins url paths like fossen.concatUrls but keeps query strings and fragments of the fragments.
+        The paths are joined with single slashes, the queries are combined in order and the last fragment wins.
+        e.g.:
+        joinUrl('https://host/api/?v=2', '/users/', '42?expand=orders#top') returns "https://host/api/users/42?v=2&expand=orders#top"
+        @param {...string|string[]} fragments - Two or more fragments to join.
+        @returns {string} - The joined url.
+        */
+        joinUrl: function (fragments) {
+            var path = '',
+                queries = [],
+                fragment;
+
+            fragments = Array.isArray(fragments) ? fragments : pub.toArray(arguments);
+
+            fragments.forEach(function (part, idx) {
+                var hashIndex, questionMark;
+
+                if (part === undefined || part === null || part === '') return;
+                part = String(part).trim();
+
+                hashIndex = part.indexOf('#');
+                if (hashIndex !== -1) {
+                    fragment = part.substr(hashIndex + 1);
+                    part = part.substr(0, hashIndex);
+                }
+                questionMark = part.indexOf('?');
+                if (questionMark !== -1) {
+                    if (part.substr(questionMark + 1)) queries.push(part.substr(questionMark + 1));
+                    part = part.substr(0, questionMark);
+                }
+
+                if (idx > 0 && path) {
+                    part = part.replace(/^\/+/, '');
+                    if (part && path[path.length - 1] !== '/') path += '/';
+                }
+                path += part;
+            });
+
+            return path + (queries.length ? '?' + queries.join('&') : '') + (fragment !== undefined ? '#' + fragment : '');
+        },
+        /**
+        Expands an RFC 6570 URI template (all levels) with the given variables.
+        Supports the operators +, #, ., /, ;, ? and &, prefix modifiers ({var:3}) and explode modifiers ({var*}).
+        Undefined and null variables, empty arrays and empty objects are treated as undefined and left out.
+
+        E.g.:
+        expandUrlTemplate('/api/users/{id}{?page,size}', { id: 42, page: 2 }) returns "/api/users/42?page=2"
+        expandUrlTemplate('/files{/path*}{#section}', { path: ['a b', 'c'], section: 'x' }) returns "/files/a%20b/c#x"
+
+        @param {string} template The uri template.
+        @param {object} variables The values of the template variables.
+        @returns {string} The expanded uri.
+        */
+        expandUrlTemplate: (function () {
+            var operators = {
+                '': { first: '', separator: ',', named: false, ifEmpty: '', allowReserved: false },
+                '+': { first: '', separator: ',', named: false, ifEmpty: '', allowReserved: true },
+                '#': { first: '#', separator: ',', named: false, ifEmpty: '', allowReserved: true },
+                '.': { first: '.', separator: '.', named: false, ifEmpty: '', allowReserved: false },
+                '/': { first: '/', separator: '/', named: false, ifEmpty: '', allowReserved: false },
+                ';': { first: ';', separator: ';', named: true, ifEmpty: '', allowReserved: false },
+                '?': { first: '?', separator: '&', named: true, ifEmpty: '=', allowReserved: false },
+                '&': { first: '&', separator: '&', named: true, ifEmpty: '=', allowReserved: false }
+            };
+
+            var encode = function (value, allowReserved) {
+                if (!allowReserved) {
+                    return encodeURIComponent(value).replace(/[!'()*]/g, function (character) {
+                        return '%' + character.charCodeAt(0).toString(16).toUpperCase();
+                    });
+                }
+                //Keep reserved characters and existing percent-encodings intact
+                return value.split(/(%[0-9A-Fa-f]{2})/g).map(function (part, idx) {
+                    return idx % 2 ? part : encodeURI(part).replace(/%5B/g, '[').replace(/%5D/g, ']');
+                }).join('');
+            };
+
+            var isDefined = function (value) {
+                if (value === undefined || value === null) return false;
+                if (Array.isArray(value)) return value.length > 0;
+                if (typeof value === 'object') return Object.keys(value).length > 0;
+                return true;
+            };
+
+            var expandVariable = function (operator, spec, value) {
+                var name = spec.name,
+                    pairs;
+
+                var named = function (encodedName, encodedValue) {
+                    return encodedName + (encodedValue === '' ? operator.ifEmpty : '=' + encodedValue);
+                };
+
+                if (typeof value !== 'object') {
+                    value = String(value);
+                    if (spec.prefix) value = value.substr(0, spec.prefix);
+                    value = encode(value, operator.allowReserved);
+                    return operator.named ? named(name, value) : value;
+                }
+
+                pairs = Array.isArray(value) ?
+                    value.map(function (item) { return [undefined, item]; }) :
+                    Object.keys(value).map(function (key) { return [key, value[key]]; });
+                pairs = pairs.filter(function (pair) {
+                    return pair[1] !== undefined && pair[1] !== null;
+                }).map(function (pair) {
+                    return [pair[0] === undefined ? undefined : encode(pair[0], operator.allowReserved), encode(String(pair[1]), operator.allowReserved)];
+                });
+
+                if (spec.explode) {
+                    return pairs.map(function (pair) {
+                        if (pair[0] !== undefined) return operator.named ? named(pair[0], pair[1]) : pair[0] + '=' + pair[1];
+                        return operator.named ? named(name, pair[1]) : pair[1];
+                    }).join(operator.separator);
+                }
+
+                value = pairs.map(function (pair) {
+                    return pair[0] !== undefined ? pair[0] + ',' + pair[1] : pair[1];
+                }).join(',');
+
+                return operator.named ? named(name, value) : value;
+            };
+
+            return function (template, variables) {
+                variables = variables || {};
+
+                return template.replace(/\{([^{}]+)\}/g, function (match, expression) {
+                    var operator = operators[expression[0]] ? expression[0] : '',
+                        settings = operators[operator],
+                        expanded = [];
+
+                    expression.substr(operator.length).split(',').forEach(function (varspec) {
+                        var specMatch = /^([A-Za-z0-9_.%]+)(?::(\d+)|(\*))?$/.exec(varspec.trim()),
+                            spec, value;
+
+                        if (!specMatch) throw new Error('Invalid uri template expression: ' + match);
+                        spec = { name: specMatch[1], prefix: specMatch[2] ? parseInt(specMatch[2], 10) : 0, explode: !!specMatch[3] };
+                        value = variables[spec.name];
+
+                        if (isDefined(value)) expanded.push(expandVariable(settings, spec, value));
+                    });
+
+                    return expanded.length ? settings.first + expanded.join(settings.separator) : '';
+                });
+            };
+        })(),
+        /**
         Creates a shallow clone of the object with the same keys and values as the original.
         @param {object} obj The object to clone.
         @param {object} [...additionalProperties] Additional arguments are merged into the cloned object where the rightmost object will override preceding values.
@@ -222,6 +1456,154 @@
             return copy;
         },
         /**
+        Creates a deep clone of the value. Cyclic and shared references are preserved in the clone.
+        Supports arrays, plain objects, objects without a prototype, class instances (the clone keeps the prototype), Dates, RegExps, Maps, Sets,
+        ArrayBuffers, typed arrays and DataViews. Functions, DOM nodes and primitives are returned as is.
+        @param {*} value The value to clone.
+        @returns {*} The deep clone.
+        */
+        deepClone: (function () {
+            var setKey = function (target, key, value) {
+                //Assigning __proto__ would change the prototype of the clone instead of copying the key
+                if (key === '__proto__') {
+                    Object.defineProperty(target, key, { value: value, writable: true, enumerable: true, configurable: true });
+                } else {
+                    target[key] = value;
+                }
+            };
+
+            var cloneValue = function (value, seen) {
+                var copy, tag;
+
+                if (!value || typeof value !== 'object') return value;
+                if (seen.has(value)) return seen.get(value);
+                if (window.Node && value instanceof window.Node) return value;
+
+                tag = Object.prototype.toString.call(value);
+
+                if (tag === '[object Date]') {
+                    copy = new Date(value.getTime());
+                } else if (tag === '[object RegExp]') {
+                    copy = new RegExp(value.source, value.flags !== undefined ? value.flags : value.toString().replace(/.*\//, ''));
+                    copy.lastIndex = value.lastIndex;
+                } else if (tag === '[object ArrayBuffer]') {
+                    copy = value.slice(0);
+                } else if (tag === '[object DataView]') {
+                    copy = new DataView(value.buffer.slice(0), value.byteOffset, value.byteLength);
+                } else if (ArrayBuffer.isView(value)) {
+                    copy = new value.constructor(value);
+                } else if (tag === '[object Map]') {
+                    copy = new Map();
+                    seen.set(value, copy);
+                    value.forEach(function (mapValue, mapKey) {
+                        copy.set(cloneValue(mapKey, seen), cloneValue(mapValue, seen));
+                    });
+                    return copy;
+                } else if (tag === '[object Set]') {
+                    copy = new Set();
+                    seen.set(value, copy);
+                    value.forEach(function (setValue) {
+                        copy.add(cloneValue(setValue, seen));
+                    });
+                    return copy;
+                } else {
+                    copy = Array.isArray(value) ? new Array(value.length) : Object.create(Object.getPrototypeOf(value));
+                    seen.set(value, copy);
+                    Object.keys(value).forEach(function (key) {
+                        setKey(copy, key, cloneValue(value[key], seen));
+                    });
+                    return copy;
+                }
+
+                seen.set(value, copy);
+                return copy;
+            };
+
+            return function (value) {
+                return cloneValue(value, new Map());
+            };
+        })(),
+        /**
+        Deeply merges the source object into the target object. Plain objects are merged recursively, all other values from source are deep cloned
+        (see fossen.deepClone) before they are placed on the target so the target never shares references with the source.
+        The keys __proto__, constructor and prototype are never merged to protect against prototype pollution from untrusted data.
+
+        Supported options:
+        arrays: string, how arrays in source are merged with arrays in target:
+            'replace' (default) - The source array replaces the target array.
+            'concat' - The source items are appended to the target items.
+            'merge' - Items are merged by index, so plain objects at the same index are merged recursively.
+
+        E.g.:
+        fossen.deepMerge(state, { filters: { tags: ['new'] } }, { arrays: 'concat' });
+
+        @param {object} target The object that will receive the merged values.
+        @param {object} source The object to merge into target.
+        @param {object} [options] The options described above.
+        @returns {object} The target object after modification.
+        */
+        deepMerge: (function () {
+            var forbiddenKeys = ['__proto__', 'constructor', 'prototype'];
+
+            var isPlainObject = function (value) {
+                var proto;
+                if (!value || Object.prototype.toString.call(value) !== '[object Object]') return false;
+                proto = Object.getPrototypeOf(value);
+                return proto === null || Object.getPrototypeOf(proto) === null;
+            };
+
+            var mergeArrays = function (target, source, options, seen) {
+                if (options.arrays === 'concat') {
+                    return target.concat(pub.deepClone(source));
+                }
+                if (options.arrays === 'merge') {
+                    source.forEach(function (item, idx) {
+                        target[idx] = mergeValue(target[idx], item, options, seen);
+                    });
+                    return target;
+                }
+                return pub.deepClone(source);
+            };
+
+            var mergeValue = function (target, source, options, seen) {
+                if (Array.isArray(target) && Array.isArray(source)) {
+                    return mergeArrays(target, source, options, seen);
+                }
+                if (isPlainObject(target) && isPlainObject(source)) {
+                    return mergeObjects(target, source, options, seen);
+                }
+                return pub.deepClone(source);
+            };
+
+            var mergeObjects = function (target, source, options, seen) {
+                if (seen.has(source)) return seen.get(source);
+                seen.set(source, target);
+
+                Object.keys(source).forEach(function (key) {
+                    if (forbiddenKeys.indexOf(key) !== -1) return;
+                    target[key] = mergeValue(target[key], source[key], options, seen);
+                });
+
+                return target;
+            };
+
+            return function (target, source, options) {
+                if (!target || typeof target !== 'object') throw new Error('The merge target must be an object');
+                if (!source) return target;
+
+                options = options || {};
+                if (['replace', 'concat', 'merge', undefined].indexOf(options.arrays) === -1) {
+                    throw new Error('Unknown array merge strategy: ' + options.arrays);
+                }
+
+                if (Array.isArray(target) && Array.isArray(source)) {
+                    return mergeArrays(target, source, options, new Map());
+                }
+
+                return mergeObjects(target, source, options, new Map());
+            };
+        })(),
+        /**
         Converts an object to a url safe query string.
         @param {object} obj The object to convert
         @param {string} [prefix=?] The prefix for the query
@@ -237,623 +1619,4704 @@
             return prefix+Object.keys(obj).map(converter).join('&');
         },
         /**
-        Creates a memoized version of the given function. The memoization will use the first argument as the key for lookup in previously stored results.
-        The original function is not modified.
+        Creates a memoized version of the given function. The original function is not modified.
+        By default the cache key covers all arguments: a call with a single primitive argument is keyed by the argument itself (so 1 and "1" differ) and any
+        other call is keyed by every argument where objects and functions are compared by identity.
+        Promises returned by the function are cached too, but are removed from the cache if they reject so failed requests are retried on the next call.
+        The memoized function then returns a promise chained to the one returned by the function, which rejects with the same error.
+
+        Supported options:
+        resolver: function(...args), returns the cache key for the arguments (may also be given directly as the second argument)
+        maxSize: int, the maximum number of cached results. The least recently used result is evicted when exceeded (default no limit)
+        ttl: int, ms a cached result is kept before it expires (default no expiry)
+
+        The returned function has a cache property with the methods:
+        clear() - Removes all cached results.
+        delete(key) - Removes the result for the given key, returns true if it existed.
+        has(key) - Returns true if a non-expired result exists for the key.
+        size() - Returns the number of cached results.
+        stats() - Returns {hits, misses, size}.
+
+        E.g.:
+        var getUser = fossen.memoize(function (id) {
+            return fossen.http.get('/api/users/' + id);
+        }, { maxSize: 100, ttl: 60000 });
+        getUser(42).then(...);
+        getUser.cache.delete(42);
+
         @param {function} func The function that will be memoized.
+        @param {object|function} [options] The options described above or the resolver function.
         @return {function} A memoized version of the function.
         */
-        memoize: function (func) {
-            var cache = {}, undefinedResult, nullResult;
-            return function(keyArg) {
-                var keyArgString;
+        memoize: (function () {
+            var objectIds = new WeakMap(),
+                nextObjectId = 0;
+
+            var keyPart = function (value) {
+                var type = typeof value;
 
-                if (keyArg === undefined) {
-                    if (undefinedResult !== undefined) return undefinedResult;
-                    return undefinedResult = func.apply(this, pub.toArray(arguments));
+                if (value !== null && (type === 'object' || type === 'function')) {
+                    if (!objectIds.has(value)) objectIds.set(value, ++nextObjectId);
+                    return 'o' + objectIds.get(value);
                 }
-                if (keyArg === null) {
-                    if (nullResult !== undefined) return nullResult;
-                    return nullResult = func.apply(this, pub.toArray(arguments));
+                if (type === 'number' && value !== value) return 'NaN';
+
+                return type.charAt(0) + String(value).length + ':' + String(value);
+            };
+
+            var defaultResolver = function () {
+                var value = arguments[0];
+
+                if (arguments.length === 1 && (value === null || (typeof value !== 'object' && typeof value !== 'function'))) {
+                    return value;
                 }
 
-                keyArgString =  keyArg.toString();
-                if (cache[keyArgString]) return cache[keyArgString];
-                return cache[keyArgString] = func.apply(this, pub.toArray(arguments));
+                return '\u0000' + pub.toArray(arguments).map(keyPart).join('|');
             };
-        },
-        /**
-        Tries to execute a function repeatedly until it succeeds or until it has failed a set number of times.
-        @param {function} functionToRetry The function that should be repeatedly executed
-        @param {bool} [afterLoad] Will try once and then only start retrying after the page load event has fired. Default false.
-        @param {int} [attempts] How many times should the function try to be executed (default 5)
-        @param {int} [delay] How long (in ms) should the function wait between executions (default 100ms)
-        */
-        retry: (function () {
-            var defaultAttempts = 5,
-                defaultDelay = 100,
-                retry = function (data) {
-                    var result;
-                    console.log("retrying", data);
-                    data.attemptsLeft--;
-                    try {
-                        result = data.func();
-                        console.log("retry success", data);
-                        data.deferred.resolve(result);
-                    } catch (e) {
-                        console.log("retry failed", data);
-                        if (data.afterLoad && document.readyState !== 'complete') {
-                            console.log("retrying on load", data);
-                            $(window).one('load', retry.bind(void 0, data));
-                            return;
-                        }
-                        if (data.attemptsLeft > 0) {
-                            clearTimeout(data.timeout);
-                            data.timeout = setTimeout(retry.bind(void 0, data), data.delay);
-                            return;
-                        }
+
+            return function (func, options) {
+                var cache = new Map(),
+                    hits = 0,
+                    misses = 0,
+                    resolver, maxSize, ttl;
+
+                options = typeof options === 'function' ? { resolver: options } : (options || {});
+                resolver = options.resolver || defaultResolver;
+                maxSize = options.maxSize || Infinity;
+                ttl = options.ttl || 0;
+
+                var getEntry = function (key) {
+                    var entry = cache.get(key);
+
+                    if (entry && entry.expires && entry.expires <= Date.now()) {
+                        cache.delete(key);
+                        return undefined;
                     }
 
-                    data.deferred.reject();
+                    return entry;
                 };
 
-            return function (functionToRetry, afterLoad, attempts, delay) {
-                var data = {
-                    attemptsLeft: attempts || defaultAttempts,
-                    delay: delay || defaultDelay,
-                    deferred: $.Deferred(),
-                    func: functionToRetry,
-                    afterLoad: document.readyState === 'complete' ? false : !!afterLoad,
-                    timeout: null
+                var memoized = function () {
+                    var key = resolver.apply(this, arguments),
+                        entry = getEntry(key),
+                        value;
+
+                    if (entry) {
+                        hits++;
+                        //Re-insert the entry to mark it as the most recently used
+                        cache.delete(key);
+                        cache.set(key, entry);
+                        return entry.value;
+                    }
+
+                    misses++;
+                    value = func.apply(this, pub.toArray(arguments));
+                    entry = { value: value, expires: ttl ? Date.now() + ttl : 0 };
+
+                    //The rejection is passed on so callers that do not handle it still get an unhandled rejection
+                    if (value && typeof value.then === 'function') {
+                        value = entry.value = value.then(null, function (error) {
+                            if (cache.get(key) === entry) cache.delete(key);
+                            throw error;
+                        });
+                    }
+
+                    cache.set(key, entry);
+
+                    if (cache.size > maxSize) {
+                        cache.delete(cache.keys().next().value);
+                    }
+
+                    return value;
                 };
 
-                retry.call(void 0, data);
+                memoized.cache = {
+                    clear: function () {
+                        cache.clear();
+                    },
+                    'delete': function (key) {
+                        return cache.delete(key);
+                    },
+                    has: function (key) {
+                        return !!getEntry(key);
+                    },
+                    size: function () {
+                        return cache.size;
+                    },
+                    stats: function () {
+                        return { hits: hits, misses: misses, size: cache.size };
+                    }
+                };
 
-                return data.deferred.promise();
+                return memoized;
             };
         })(),
         /**
-        Returns a new array that contian only unique items from the given array.
-        @param {mixed[]} arr The array to extract distinct elements from.
-        @returns {mixed[]} Array containing only unique items.
-        */
-        unique: function (arr) {
-            var cache = {}, uniqueArray = [];
-            arr.forEach(function(val) {
-                if (cache.hasOwnProperty(val)) {
-                    return;
-                }
-                cache[val] = true;
-                uniqueArray.push(val);
-            });
+        Tries to execute a function repeatedly until it succeeds or until it has failed a set number of times.
+        The function may be synchronous (fails by throwing) or return a promise (fails by rejecting) and is given the current attempt number (starting at 1).
 
-            return uniqueArray;
-        },
-        /**
-        Returns the cursor position relative to an element.
+        E.g.:
+        fossen.retry(function (attempt) {
+            return fossen.http.get('/api/status');
+        }, {
+            attempts: 6,
+            delay: 200,
+            maxDelay: 5000,
+            jitter: 0.5,
+            shouldRetry: function (error, attempt) {
+                return error.type !== 'status' || error.status >= 500;
+            },
+            signal: abortController.signal
+        }).then(function (response) { ... }, function (error) {
+            console.log(error.lastError, error.attempts);
+        });
 
-        @param {MouseEvent} evt The mouse event to retrieve position from.
-        @param {Element} [el=evt.currentTarget] The element to measure from or use currentTarget from event if not defined.
+        Supported options:
+        attempts: int, the maximum number of times the function is executed (default 5)
+        delay: int, ms to wait before the first retry (default 100)
+        factor: number, each following delay is multiplied by this (default 2, use 1 for a fixed delay)
+        maxDelay: int, upper limit for the delay in ms (default no limit)
+        jitter: number between 0 and 1, how large a random part of each delay may be removed to spread out retries (default 0)
+        shouldRetry: function(error, attempt), return false to stop retrying and reject immediately
+        onRetry: function(error, attempt, delay), called before waiting for the next attempt
+        signal: AbortSignal, aborting it stops any further attempts and rejects
+        afterLoad: bool, will try once and then only start retrying after the page load event has fired (default false)
+
+        The returned promise rejects with a fossen.retry.RetryError carrying lastError (the last error thrown) and attempts (the history of every failed
+        attempt as {attempt, error, delay, duration}), aborted is true if the signal stopped it.
+
+        The old signature fossen.retry(functionToRetry, afterLoad, attempts, delay) is still supported and retries with a fixed delay.
+        fossen.retry(functionToRetry) without options uses the defaults above.
+
+        Retries, successes after retrying and failures are logged with the logger "fossen:retry" (see fossen.logger).
+
+        @param {function} functionToRetry The function that should be repeatedly executed
+        @param {object} [options] The options described above.
+        @returns {Promise} A promise for the result of the first successful attempt.
         */
-        cursorRelativeTo: function (evt, el) {
-            var offset;
+        retry: (function () {
+            var defaults = {
+                attempts: 5,
+                delay: 100,
+                factor: 2,
+                maxDelay: Infinity,
+                jitter: 0
+            };
 
-            el = el || evt.currentTarget;
-            offset = pub.offset(el);
+            /**
+            The error a retry rejects with when it gives up.
+            @param {string} message The error message.
+            @param {*} lastError The error from the last attempt.
+            @param {object[]} attempts The history of failed attempts.
+            @param {bool} aborted True if the retry was stopped by its abort signal.
+            */
+            var RetryError = function (message, lastError, attempts, aborted) {
+                var stackSource = new Error(message);
 
-            return {
-                left: evt.pageX - offset.windowLeft,
-                top: evt.pageY - offset.windowTop
+                this.name = 'RetryError';
+                this.message = message;
+                this.lastError = lastError;
+                this.cause = lastError;
+                this.attempts = attempts;
+                this.aborted = aborted;
+                if (stackSource.stack) this.stack = stackSource.stack;
             };
-        },
-        /**
-        Extracts the leaf portion of a type string and returns it. Useful for getting only the name of the specific class from a Json.net $type string.
-        e.g.:
-        Solution.Project.Entities.MyClass, Solution.Project
-        returns "MyClass"
-        */
-        getTypeName: function(typeString) {
-            var commaPoint = typeString.indexOf(','),
-                namespace = typeString.substr(0, commaPoint),
-                lastPeriod = namespace.lastIndexOf('.');
+            RetryError.prototype = Object.create(Error.prototype);
+            RetryError.prototype.constructor = RetryError;
 
-            return namespace.substr(lastPeriod+1);
-        },
-        /**
-        Json.Net supports passing types for serialized elements, but for untyped arrays this is problematic because they are not actually serialized as arrays.
-        This function normalizes this behaviour by ensuring that a typed array is actually an array. The type properties are instead placed as keys on the
-        new array instance.
+            var getDelay = function (options, attempt) {
+                var delay = Math.min(options.delay * Math.pow(options.factor, attempt - 1), options.maxDelay);
+                return Math.round(delay - delay * options.jitter * Math.random());
+            };
 
-        This process turns this:
-        untypedArray: {
-            $type: 'type'
-            $values: [...]
-        }
-        into:
-        untypedArray: [...]
-        untypedArray.$type = 'type'
+            var retry = function (functionToRetry, options) {
+                if (typeof functionToRetry !== 'function') {
+                    throw new Error('functionToRetry must be a function');
+                }
+                if (arguments.length > 1 && (!options || typeof options !== 'object')) {
+                    options = {
+                        afterLoad: options,
+                        attempts: arguments[2],
+                        delay: arguments[3],
+                        factor: 1
+                    };
+                }
 
-        regular arrays remain untouched.
+                options = pub.assign(pub.assign({}, defaults), options || {}, null, function (key, value) {
+                    return value !== undefined;
+                });
 
-        @param {object|array} typedArrayObject The array object to normalize.
-        @returns {array} The normalized array
-        */
-        normalizeJsonDotNetTypedArrays: function(typedArrayObject) {
-            if (Array.isArray(typedArrayObject)) {
-                return typedArrayObject;
-            }
+                return new Promise(function (resolve, reject) {
+                    var log = pub.logger('fossen:retry'),
+                        history = [],
+                        signal = options.signal,
+                        afterLoad = document.readyState === 'complete' ? false : !!options.afterLoad,
+                        timeout, lastError, onLoad, settled = false;
 
-            if (!typedArrayObject.$values || !Array.isArray(typedArrayObject.$values)) throw new Error('The given object is not supported. The $values key must be an array.');
+                    var finish = function (settle, value) {
+                        if (settled) return;
+                        settled = true;
+                        clearTimeout(timeout);
+                        if (onLoad) window.removeEventListener('load', onLoad);
+                        if (signal) signal.removeEventListener('abort', onAbort);
+                        settle(value);
+                    };
 
-            typedArrayObject.$values.$type = typedArrayObject.$type;
-            return typedArrayObject.$values;
-        },
+                    var onAbort = function () {
+                        log.debug('retry aborted after ' + history.length + ' attempt(s)');
+                        finish(reject, new RetryError('Retry aborted after ' + history.length + ' attempt(s)', lastError, history, true));
+                    };
+
+                    //Stops retrying when shouldRetry or onRetry throws
+                    var fail = function (error, attemptNumber) {
+                        log.warn('retry stopped after ' + attemptNumber + ' attempt(s) by an error in shouldRetry or onRetry', error);
+                        finish(reject, new RetryError('Retry stopped after ' + attemptNumber + ' attempt(s)', error, history, false));
+                    };
+
+                    var attempt = function () {
+                        var attemptNumber = history.length + 1,
+                            started = Date.now();
+
+                        if (settled) return;
+
+                        new Promise(function (resolveAttempt) {
+                            resolveAttempt(functionToRetry(attemptNumber));
+                        }).then(function (result) {
+                            if (attemptNumber > 1) log.info('retry succeeded on attempt ' + attemptNumber);
+                            finish(resolve, result);
+                        }, function (error) {
+                            var delay, entry = { attempt: attemptNumber, error: error, delay: 0, duration: Date.now() - started };
+
+                            if (settled) return;
+                            lastError = error;
+                            history.push(entry);
+
+                            try {
+                                if (attemptNumber >= options.attempts ||
+                                    (typeof options.shouldRetry === 'function' && !options.shouldRetry(error, attemptNumber))) {
+                                    log.warn('retry failed after ' + attemptNumber + ' attempt(s)', error);
+                                    finish(reject, new RetryError('Retry failed after ' + attemptNumber + ' attempt(s)', error, history, false));
+                                    return;
+                                }
+                            } catch (e) {
+                                fail(e, attemptNumber);
+                                return;
+                            }
+
+                            if (afterLoad && document.readyState !== 'complete') {
+                                onLoad = function () {
+                                    window.removeEventListener('load', onLoad);
+                                    onLoad = undefined;
+                                    attempt();
+                                };
+                                window.addEventListener('load', onLoad);
+                                return;
+                            }
+
+                            delay = entry.delay = getDelay(options, attemptNumber);
+                            log.debug('retrying in ' + delay + 'ms after attempt ' + attemptNumber + ' failed', error);
+                            if (typeof options.onRetry === 'function') {
+                                try {
+                                    options.onRetry(error, attemptNumber, delay);
+                                } catch (e) {
+                                    fail(e, attemptNumber);
+                                    return;
+                                }
+                            }
+                            timeout = setTimeout(attempt, delay);
+                        });
+                    };
+
+                    if (signal) {
+                        if (signal.aborted) {
+                            onAbort();
+                            return;
+                        }
+                        signal.addEventListener('abort', onAbort);
+                    }
+
+                    attempt();
+                });
+            };
+
+            retry.RetryError = RetryError;
+            retry.defaults = defaults;
+
+            return retry;
+        })(),
         /**
-        Copies keys with values optionally matching the filter from source to target and optionally maps the values through the mutator function.
-        @param {mixed} target The target object that will receive all keys and values from source.
-        @param {object} source The source object from which keys and values will be copied.
-        @param {function(key, value)} [mutator] Optional mutator function that takes the key and value from source and returns the new value that will be placed on the target.
-        @param {function(key, value)} [filter] Optional filter function that takes the key and value and returns true if the value should be placed on the target.
-        @returns {mixed} The target object after modification.
+        Returns a new array that contian only unique items from the given array.
+        Items are compared with SameValueZero (like Set and Array.includes) so 1 and "1" are different, NaN equals NaN and objects are compared by reference.
+        @param {mixed[]} arr The array to extract distinct elements from.
+        @returns {mixed[]} Array containing only unique items.
         */
-        assign: function (target, source, mutator, filter) {
-            Object.keys(source).forEach(function(key) {
-                var value = source[key];
-                if (typeof filter === 'function') {
-                    if (!filter(key, value)) return;
-                }
-                if (typeof mutator === 'function') {
-                    value = mutator(key, value);
-                }
-                target[key] = value;
+        unique: function (arr) {
+            var seen = new Set();
+            return arr.filter(function (val) {
+                if (seen.has(val)) return false;
+                seen.add(val);
+                return true;
             });
-
-            return target;
         },
         /**
-        Convers an array into an object by using the items as keys and the index as values.
-        @param {Array} arr The array to convert
-        @param {function} [keyMutator] An optional key mutator function given (item, index, arr) whose result will be the key for an item.
-        @param {function} [valueMutator] An optional value mutator function given (item, index, arr) whose result will be the value for an item.
-        @returns {object} An object where the keys are array values and values are item indexes.
+        Returns the items with a unique key, keeping the first item for each key. Keys are compared with SameValueZero.
+        E.g.: fossen.uniqueBy(customers, 'address.zip') or fossen.uniqueBy(orders, function (order) { return order.customer.id; })
+        @param {mixed[]} arr The array to extract distinct elements from.
+        @param {function|string} key A function given (item, index, arr) returning the key or a property path (see fossen.path).
+        @returns {mixed[]} Array containing the first item for each key.
         */
-        assignArray: function(arr, keyMutator, valueMutator){
-            var obj = {};
-            arr.forEach(function (item, index) {
-                var key = !!keyMutator ? keyMutator(item, index, arr) : item;
-                var value = !!valueMutator ? valueMutator(item, index, arr) : index;
-                obj[key] = index;
+        uniqueBy: function (arr, key) {
+            var seen = new Set(),
+                getKey = pub.keyFunction(key);
+
+            return arr.filter(function (item, index) {
+                var itemKey = getKey(item, index, arr);
+                if (seen.has(itemKey)) return false;
+                seen.add(itemKey);
+                return true;
             });
-            return obj;
         },
         /**
-        Takes an object and stores it in the given namespace. Will overwrite any existing object.
-        @param {string} namespace Full namespace to store the object in.
-        @param {object} object The object to store.
-        @param {bool} [createIfNotExist=false] Create the namespace if it does not exist.
-        @param {object} [rootObject=window] The root object on which to look for the namespace.
-        @returns {object} The stored object.
+        Creates a function returning the key of an item for the collection functions (uniqueBy, groupBy, indexBy, countBy and sortBy).
+        @param {function|string|Array} [key] A function (returned as is), a property path (see fossen.path) or nothing for the item itself.
+        @returns {function(item, index, arr)} The key function.
         */
-        storeInNamespace: function (namespace, object, createIfNotExist, rootObject) {
-            var namespaceParts = namespace.split('.'),
-                currentName, currentObj;
-
-            rootObject = rootObject || window;
-
-            while (namespaceParts.length > 1) {
-                currentName = namespaceParts.shift();
-                currentObj = rootObject[currentName];
-                if (!currentObj && createIfNotExist) {
-                    currentObj = rootObject[currentName] = {};
-                }
-                if (!currentObj) throw new Error('Namespace part ' + currentName + ' not found on object. Complete namespace was: ' + namespace);
-                rootObject = currentObj;
+        keyFunction: function (key) {
+            if (typeof key === 'function') return key;
+            if (key === undefined || key === null) {
+                return function (item) {
+                    return item;
+                };
             }
+            return function (item) {
+                return pub.path.get(item, key);
+            };
+        },
+        /**
+        Groups items by a key.
+        E.g.: fossen.groupBy(orders, 'status') // { open: [...], shipped: [...] }
+        @param {mixed[]} arr The items.
+        @param {function|string} key A function given (item, index, arr) returning the key or a property path (see fossen.path).
+        @returns {object} An object with an array of the items (in order) for each key.
+        */
+        groupBy: function (arr, key) {
+            var groups = {},
+                getKey = pub.keyFunction(key);
 
-            rootObject[namespaceParts[0]] = object;
+            arr.forEach(function (item, index) {
+                var itemKey = getKey(item, index, arr);
+                if (Object.prototype.hasOwnProperty.call(groups, itemKey)) {
+                    groups[itemKey].push(item);
+                } else {
+                    Object.defineProperty(groups, itemKey, { value: [item], enumerable: true, writable: true, configurable: true });
+                }
+            });
 
-            return object;
+            return groups;
         },
         /**
-        Checks if the given period-separated namespace exists (is defined).
-        E.g.: Alpha.Bravo.Charlie
-        @param {string} namespace The namespace string to check
-        @return {bool} True if the namespace is set (is not undefined) false if any part of it is undefined
+        Creates a lookup table of items by a key. If several items have the same key the last one wins.
+        E.g.: var productsById = fossen.indexBy(products, 'id');
+        @param {mixed[]} arr The items.
+        @param {function|string} key A function given (item, index, arr) returning the key or a property path (see fossen.path).
+        @returns {object} An object with the item for each key.
         */
-        namespaceExists: function(namespace){
-            var names = namespace.split('.'),
-                idx = -1,
-                node = window;
+        indexBy: function (arr, key) {
+            var index = {},
+                getKey = pub.keyFunction(key);
 
-            while (node = node[names[++idx]]) {
-                if (idx === names.length - 1) return true;
-            }
+            arr.forEach(function (item, i) {
+                Object.defineProperty(index, getKey(item, i, arr), { value: item, enumerable: true, writable: true, configurable: true });
+            });
 
-            return false;
+            return index;
         },
-
         /**
-        Creates a new error object of type Error with the optional data.
-        @param {string} message The error message.
-        @param {object} [data] Any optional data. Appended to the error object as the property "data"
-        @param {bool} [logData=true] Whether or not to log the data object and message to the console immediately. This is usefull for debugging as the data is swallowed if the error is not handled.
-        @return {Error} A new error object 
+        Counts items by a key.
+        E.g.: fossen.countBy(orders, 'status') // { open: 3, shipped: 10 }
+        @param {mixed[]} arr The items.
+        @param {function|string} key A function given (item, index, arr) returning the key or a property path (see fossen.path).
+        @returns {object} An object with the number of items for each key.
         */
-        newError: function(message, data, logData){
-            var err = new Error(message);
-
-            if (data) {
-                err.data = data;
-            }
+        countBy: function (arr, key) {
+            var counts = {},
+                getKey = pub.keyFunction(key);
 
-            logData = logData === false ? false : true;
-            if (logData) {
-                if (console.error) {
-                    console.error(message, data);
+            arr.forEach(function (item, index) {
+                var itemKey = getKey(item, index, arr);
+                if (Object.prototype.hasOwnProperty.call(counts, itemKey)) {
+                    counts[itemKey]++;
                 } else {
-                    console.log(message, data);
+                    Object.defineProperty(counts, itemKey, { value: 1, enumerable: true, writable: true, configurable: true });
                 }
-            }
-            
-            //Remove this function from the stack to avoid confusion.
-            if (err.stack) {
-                var cleanStack = err.stack,
-                    firstNewLine = cleanStack.indexOf('\n'),
-                    secondNewLine = cleanStack.substr(firstNewLine + 1).indexOf('\n');
-                cleanStack = cleanStack.substr(0, firstNewLine) + cleanStack.substr(secondNewLine + 1 + firstNewLine);
-                err.stack = cleanStack;
-            }
-            return err;
-        },
+            });
 
+            return counts;
+        },
         /**
-        Given a node will determine if it matches the given selector.
-        This is a shim for the function node.matches that works cross-browser.
-        @param {Element} node The node to check.
-        @param {string} selector The selector to match against.
-        @return {bool}
+        Splits items in two by a predicate.
+        E.g.: var result = fossen.partition(orders, function (order) { return order.paid; }), paid = result[0], unpaid = result[1];
+        @param {mixed[]} arr The items.
+        @param {function|string} predicate A function given (item, index, arr) or a property path (see fossen.path), a truthy result passes.
+        @returns {Array} [items that passed, items that did not], both in order.
         */
-        nodeMatchesSelector: function (node, selector) {
-            if (!node) throw new Error("Node argument must be defined");
-            var matcher = node.matches ||
-                node.msMatchesSelector ||
-                node.webkitMatchesSelector ||
-                node.mozMatchesSelector;
+        partition: function (arr, predicate) {
+            var result = [[], []],
+                test = pub.keyFunction(predicate);
 
-            if (!matcher) {
-                throw new Error("No node matcher found");
-            }
+            arr.forEach(function (item, index) {
+                result[test(item, index, arr) ? 0 : 1].push(item);
+            });
 
-            return matcher.call(node, selector);
+            return result;
         },
         /**
-        Finds the closest ancestor node that matches the selector
-        @param {Element} node The node to start looking for ancestors (is not matched itself).
-        @param {string|Element} selector The selector to match against.
-        @return {Element} The first ancestor matching the selector or undefined if there is no match.
+        Returns a sorted copy of the items. The sort is stable (items with equal keys keep their order).
+        Strings are compared with Intl.Collator, numbers and dates by value and null or undefined keys are placed last.
+
+        Keys can be a key (a function given the item or a property path) or an array of keys where each may also be
+        {key, order: 'asc'|'desc', compare: function(a, b)}. Later keys are used when the earlier are equal.
+
+        E.g.:
+        fossen.sortBy(people, ['lastName', 'firstName'], { locale: 'nb' });
+        fossen.sortBy(orders, [{ key: 'created', order: 'desc' }, 'id']);
+
+        Supported options:
+        locale: string|string[], the locale(s) to compare strings with (default the browser locale)
+        numeric: bool, compare numbers in strings by value ("item 2" before "item 10"), default false
+        sensitivity: string, see Intl.Collator, default 'variant'
+        @param {mixed[]} arr The items.
+        @param {function|string|Array} keys The key or keys to sort by.
+        @param {object} [options] The options described above.
+        @returns {mixed[]} A new sorted array.
         */
-        findParentNode: function(node, selector) {
-            var parent = node.parentElement;
+        sortBy: function (arr, keys, options) {
+            var collator, sorters;
 
-            while (parent) {
-                if ((selector instanceof Node) ? (parent === selector) : pub.nodeMatchesSelector(parent, selector)) {
-                    return parent;
-                }
-                parent = parent.parentElement;
-            }
+            options = options || {};
+            collator = new Intl.Collator(options.locale, { numeric: !!options.numeric, sensitivity: options.sensitivity || 'variant' });
 
-            return undefined;
+            var isMissing = function (value) {
+                return value === null || value === undefined || value !== value;
+            };
+
+            var compareValues = function (a, b) {
+                if (Object.prototype.toString.call(a) === '[object Date]') a = a.getTime();
+                if (Object.prototype.toString.call(b) === '[object Date]') b = b.getTime();
+                if (typeof a === 'string' || typeof b === 'string') return collator.compare(String(a), String(b));
+
+                return a < b ? -1 : a > b ? 1 : 0;
+            };
+
+            sorters = (Array.isArray(keys) ? keys : [keys]).map(function (key) {
+                var isSpec = key && typeof key === 'object' && !Array.isArray(key);
+
+                return {
+                    getKey: pub.keyFunction(isSpec ? key.key : key),
+                    direction: isSpec && key.order === 'desc' ? -1 : 1,
+                    compare: isSpec && key.compare || compareValues
+                };
+            });
+
+            return arr.map(function (item, index) {
+                return {
+                    item: item,
+                    index: index,
+                    keys: sorters.map(function (sorter) {
+                        return sorter.getKey(item, index, arr);
+                    })
+                };
+            }).sort(function (a, b) {
+                var i, result, aMissing, bMissing;
+                for (i = 0; i < sorters.length; i++) {
+                    aMissing = isMissing(a.keys[i]);
+                    bMissing = isMissing(b.keys[i]);
+                    //Missing values are last in descending order as well
+                    if (aMissing || bMissing) {
+                        if (aMissing !== bMissing) return aMissing ? 1 : -1;
+                        continue;
+                    }
+                    result = sorters[i].compare(a.keys[i], b.keys[i]);
+                    if (result) return result * sorters[i].direction;
+                }
+                return a.index - b.index;
+            }).map(function (entry) {
+                return entry.item;
+            });
         },
         /**
-        Returns the real offset and page positions of the given elements top left corner.
-        Returns an object with:
-            left: Page relative left position
-            top: Page relative top position
-            windowLeft: Window (frame) relative left postion
-            windowTop: Window (frame) relative top position
-            width: The width of the element
-            height: The height of the element
+        Returns the cursor position relative to an element.
 
-        @param {Element} el The element to find the offset for.
-        @returns {object} Data about the position relative to page and window.
+        @param {MouseEvent} evt The mouse event to retrieve position from.
+        @param {Element} [el=evt.currentTarget] The element to measure from or use currentTarget from event if not defined.
         */
-        offset: function (el) {
-            var left = el.offsetLeft,
-                top = el.offsetTop,
-                scrollLeft = el.offsetLeft,
-                scrollTop = el.offsetTop,
-                offsetParent = el;
+        cursorRelativeTo: function (evt, el) {
+            var offset;
 
-            while (offsetParent = offsetParent.offsetParent) {
-                left += offsetParent.offsetLeft;
-                top += offsetParent.offsetTop;
-                scrollLeft -= (offsetParent.scrollLeft);
-                scrollTop -= (offsetParent.scrollTop - offsetParent.offsetTop);
-            }
+            el = el || evt.currentTarget;
+            offset = pub.offset(el);
 
             return {
-                left: left,
-                top: top,
-                offsetLeft: el.offsetLeft,
-                offsetTop: el.offsetTop,
-                windowLeft: scrollLeft,
-                windowTop: scrollTop,
-                width: el.offsetWidth,
-                height: el.offsetHeight
+                left: evt.pageX - offset.windowLeft,
+                top: evt.pageY - offset.windowTop
             };
         },
-        findClosestScrollableOffsetParent: function(el){
-            var offsetParent = el;
+        /**
+        Extracts the leaf portion of a type string and returns it. Useful for getting only the name of the specific class from a Json.net $type string.
+        e.g.:
+        Solution.Project.Entities.MyClass, Solution.Project
+        returns "MyClass"
 
-            while (offsetParent = offsetParent.offsetParent) {
-                if (offsetParent.scrollHeight > offsetParent.offsetHeight) return offsetParent;
-            }
+        Generic arity, generic arguments, array ranks and declaring types of nested types are not part of the leaf name (see fossen.parseTypeName), so
+        System.Collections.Generic.List`1[[My.Entity, My.Assembly]], mscorlib returns "List" and My.Outer+Inner returns "Inner".
+        Type strings fossen.parseTypeName cannot parse give the text between the last period and the first comma.
+        */
+        getTypeName: function(typeString) {
+            var commaPoint, namespace;
 
-            return undefined;
+            try {
+                return pub.parseTypeName(typeString).name;
+            } catch (e) {
+                commaPoint = typeString.indexOf(',');
+                namespace = typeString.substr(0, commaPoint);
+                return namespace.substr(namespace.lastIndexOf('.') + 1);
+            }
         },
         /**
-        Returns true if the given element is out of view. By default it will check if the element is fully out of view.
-        @param {DOMElement} el The element to check.
-        @param {bool} [partially=false] If true will return true if the element is partially outside of the view.
-        @returns {bool} True if out of view, false if not.
-        */
-        isOutOfView: function (el, partially) {
-            var elOffset = pub.offset(el),
-                clientWidth = document.documentElement.clientWidth,
-                clientHeight = document.documentElement.clientHeight;
+        Parses a .NET (assembly-qualified) type name as written by Type.AssemblyQualifiedName, Type.FullName or Json.Net $type into its parts.
+        e.g.:
+        System.Collections.Generic.Dictionary`2[[System.String, mscorlib],[My.Entity+Line, My.Assembly]][], mscorlib, Version=4.0.0.0, Culture=neutral, PublicKeyToken=b77a5c561934e089
+        returns
+        {
+            namespace: 'System.Collections.Generic',
+            name: 'Dictionary',
+            arity: 2,
+            declaringTypes: [],
+            fullName: 'System.Collections.Generic.Dictionary`2',
+            genericArity: 2,
+            genericArguments: [{ namespace: 'System', name: 'String', ... }, { namespace: 'My', name: 'Line', declaringTypes: [{ name: 'Entity', arity: 0 }], ... }],
+            arrayRanks: [1],
+            assembly: { name: 'mscorlib', version: '4.0.0.0', culture: 'neutral', publicKeyToken: 'b77a5c561934e089', properties: {...} }
+        }
 
-            //First deal with the element being completely below or completely to the left of the viewport
-            if (elOffset.windowTop > clientHeight) return true;
-            if (elOffset.windowLeft > clientWidth) return true;
+        name and arity are those of the leaf type, declaringTypes holds the chain of types a nested type is declared in (outermost first) and genericArity is the
+        total number of generic parameters of the leaf and its declaring types. genericArguments is empty for open generic types. arrayRanks holds one rank per array
+        suffix ([] is 1, [,] is 2). assembly is null if the string has no assembly part, properties holds every key=value pair from the assembly part.
 
-            //Now deal with the element being completely to the right or completely above the viewport
-            if ((elOffset.windowTop + elOffset.height) < 0) return true;
-            if ((elOffset.windowLeft + elOffset.width) < 0) return true;
+        @param {string} typeString The type string to parse.
+        @returns {object} The parsed type name as described above.
+        */
+        parseTypeName: (function () {
+            var specialCharacters = ',+&*[]=';
 
-            if (partially) { //Check if the element is partially out of view
-                if ((elOffset.windowTop + elOffset.height) > clientHeight || (elOffset.windowTop < 0)) return true; //partially below or above
-                if ((elOffset.windowLeft + elOffset.width) > clientWidth || (elOffset.windowLeft < 0)) return true; //partially to the left or right
-            }
+            return function (typeString) {
+                var pos = 0,
+                    result;
 
-            return false;
-        },
+                var fail = function (reason) {
+                    throw new Error('Invalid type name "' + typeString + '" at position ' + pos + ': ' + reason);
+                };
+                var skipWhitespace = function () {
+                    while (pos < typeString.length && /\s/.test(typeString[pos])) pos++;
+                };
+                var peek = function () {
+                    skipWhitespace();
+                    return typeString[pos];
+                };
+                var expect = function (character) {
+                    if (peek() !== character) fail('expected "' + character + '"');
+                    pos++;
+                };
+                var readIdentifier = function (terminators) {
+                    var identifier = '';
+                    skipWhitespace();
+                    while (pos < typeString.length && terminators.indexOf(typeString[pos]) === -1) {
+                        if (typeString[pos] === '\\') pos++;
+                        identifier += typeString[pos++];
+                    }
+                    return identifier.trim();
+                };
+                var splitArity = function (segment) {
+                    var backtick = segment.lastIndexOf('`'),
+                        arity = backtick === -1 ? 0 : parseInt(segment.substr(backtick + 1), 10);
+
+                    if (arity !== arity) fail('invalid generic arity in "' + segment + '"');
+                    return { name: backtick === -1 ? segment : segment.substr(0, backtick), arity: arity };
+                };
+
+                var parseAssembly = function () {
+                    var parts = readIdentifier(']').split(','),
+                        assembly = { name: parts.shift().trim(), version: null, culture: null, publicKeyToken: null, properties: {} };
+
+                    if (!assembly.name) fail('missing assembly name');
+                    parts.forEach(function (part) {
+                        var equals = part.indexOf('='),
+                            key = part.substr(0, equals).trim(),
+                            value = part.substr(equals + 1).trim();
+
+                        if (equals === -1 || !key) fail('invalid assembly property "' + part.trim() + '"');
+                        assembly.properties[key] = value;
+                        if (key === 'Version') assembly.version = value;
+                        if (key === 'Culture') assembly.culture = value;
+                        if (key === 'PublicKeyToken') assembly.publicKeyToken = value;
+                    });
+
+                    return assembly;
+                };
+
+                var parseTypeSpec, parseQualified;
+
+                var parseGenericArguments = function (type) {
+                    expect('[');
+                    do {
+                        if (peek() === '[') {
+                            pos++;
+                            type.genericArguments.push(parseQualified(true));
+                            expect(']');
+                        } else {
+                            type.genericArguments.push(parseTypeSpec());
+                        }
+                    } while (peek() === ',' && ++pos);
+                    expect(']');
+
+                    if (type.genericArguments.length !== type.genericArity) {
+                        fail('expected ' + type.genericArity + ' generic argument(s) but found ' + type.genericArguments.length);
+                    }
+                };
+
+                parseTypeSpec = function () {
+                    var segments = [], segment, lastPeriod, leaf, type, next, rank;
+
+                    do {
+                        segment = readIdentifier(specialCharacters);
+                        if (!segment) fail('expected a type name');
+                        segments.push(splitArity(segment));
+                    } while (typeString[pos] === '+' && ++pos);
+
+                    lastPeriod = segments[0].name.lastIndexOf('.');
+                    leaf = segments.pop();
+                    type = {
+                        namespace: lastPeriod === -1 ? '' : segments.length ? segments[0].name.substr(0, lastPeriod) : leaf.name.substr(0, lastPeriod),
+                        name: leaf.name,
+                        arity: leaf.arity,
+                        declaringTypes: segments,
+                        fullName: '',
+                        genericArity: 0,
+                        genericArguments: [],
+                        arrayRanks: [],
+                        assembly: null
+                    };
+                    if (type.namespace) {
+                        if (segments.length) {
+                            segments[0].name = segments[0].name.substr(lastPeriod + 1);
+                        } else {
+                            type.name = leaf.name.substr(lastPeriod + 1);
+                        }
+                    }
+                    type.genericArity = segments.concat([leaf]).reduce(function (total, segment) {
+                        return total + segment.arity;
+                    }, 0);
+                    type.fullName = pub.formatTypeName(type, { assembly: false });
+
+                    while (peek() === '[') {
+                        next = typeString.substr(pos + 1).trim()[0];
+                        if (next !== ']' && next !== ',') {
+                            if (type.genericArguments.length || type.arrayRanks.length || !type.genericArity) fail('unexpected generic arguments');
+                            parseGenericArguments(type);
+                            continue;
+                        }
+                        pos++;
+                        rank = 1;
+                        while (peek() === ',') {
+                            rank++;
+                            pos++;
+                        }
+                        expect(']');
+                        type.arrayRanks.push(rank);
+                    }
+
+                    return type;
+                };
+
+                parseQualified = function (allowAssembly) {
+                    var type = parseTypeSpec();
+                    if (allowAssembly && peek() === ',') {
+                        pos++;
+                        type.assembly = parseAssembly();
+                    }
+                    return type;
+                };
+
+                if (typeof typeString !== 'string') throw new Error('typeString must be a string');
+
+                result = parseQualified(true);
+                if (peek() !== undefined) fail('unexpected "' + typeString[pos] + '"');
+
+                return result;
+            };
+        })(),
         /**
-        Scrolls the y axis of the scroll element so that the element is completely within the viewport y axis.
-        @param {DOMElement} el The element that should be completly inside the viewport y axis.
-        @param {int} [padding=0] Any optional padding to apply when scrolling
-        @param {DOMElement} [scrollElement] The element to scroll. If not specified will find the first offsetParent where scrollHeight and offsetHeight differ (indicating a scrollbar).
+        Formats a parsed type name (see fossen.parseTypeName) back into a type string. Generic arguments with an assembly are written assembly-qualified in double brackets.
+        @param {object} type The parsed type name.
+        @param {object} [options] Optional {assembly: bool (default true)} set assembly to false to leave out the assembly part of the outermost type.
+        @returns {string} The type string.
         */
-        scrollY: function (el, padding, scrollElement) {
-            var elOffset, scrollTo, isPartiallyBelow;
+        formatTypeName: (function () {
+            var escape = function (name) {
+                return name.replace(/[,+&*\[\]\\=]/g, '\\$&');
+            };
+            var formatAssembly = function (assembly) {
+                var properties = assembly.properties || {},
+                    parts = [assembly.name];
 
-            if (!pub.isOutOfView(el, true)) { //The element is in full view, no need to scroll
-                return;
-            }
+                if (assembly.version) parts.push('Version=' + assembly.version);
+                if (assembly.culture) parts.push('Culture=' + assembly.culture);
+                if (assembly.publicKeyToken) parts.push('PublicKeyToken=' + assembly.publicKeyToken);
+                Object.keys(properties).forEach(function (key) {
+                    if (['Version', 'Culture', 'PublicKeyToken'].indexOf(key) === -1) parts.push(key + '=' + properties[key]);
+                });
 
-            elOffset = pub.offset(el);
-            isPartiallyBelow = (elOffset.windowTop + elOffset.height) > document.documentElement.clientHeight; //True if partially below, false if partially above
-            padding = padding || 0;
-            scrollElement = pub.findClosestScrollableOffsetParent(el) || document.body;
+                return parts.join(', ');
+            };
+            var formatSegment = function (segment) {
+                return escape(segment.name) + (segment.arity ? '`' + segment.arity : '');
+            };
 
-            if (isPartiallyBelow) { //The element is above the window
-                scrollTo = ((elOffset.offsetTop - document.documentElement.clientHeight) + elOffset.height) + padding;
-            } else { //The element is below or inside the window
-                scrollTo = el.offsetTop - padding;
-            }
+            var format = function (type, includeAssembly) {
+                var declaringTypes = type.declaringTypes || [],
+                    result = declaringTypes.concat([type]).map(formatSegment).join('+');
 
-            scrollElement.scrollTop = scrollTo;
-        },
+                if (type.namespace) result = type.namespace + '.' + result;
+                if (type.genericArguments && type.genericArguments.length) {
+                    result += '[' + type.genericArguments.map(function (argument) {
+                        return argument.assembly ? '[' + format(argument, true) + ']' : format(argument, false);
+                    }).join(',') + ']';
+                }
+                (type.arrayRanks || []).forEach(function (rank) {
+                    result += '[' + new Array(rank).join(',') + ']';
+                });
+                if (includeAssembly && type.assembly) result += ', ' + formatAssembly(type.assembly);
+
+                return result;
+            };
 
+            return function (type, options) {
+                return format(type, !options || options.assembly !== false);
+            };
+        })(),
         /**
-        Ref: https://github.com/yanatan16/nanoajax (0.4)
-        This is a tiny ajax function that performs ajax requests of most types including CORS.
+        Json.Net supports passing types for serialized elements, but for untyped arrays this is problematic because they are not actually serialized as arrays.
+        This function normalizes this behaviour by ensuring that a typed array is actually an array. The type properties are instead placed as keys on the
+        new array instance.
 
-        Supported options:        
-        url: string, required
-        headers: object of {header_name: header_value, ...}
-        body: string (sets content type to 'application/x-www-form-urlencoded' if not set in headers)
-        method: 'GET', 'POST', etc. Defaults to 'GET' or 'POST' based on body
-        cors: If your using cross-origin, you will need this true for IE8-9 (to use the XDomainRequest object, also see Compatibility)    
-        responseType: string, various compatability, see xhr docs for enum options
-        withCredentials: boolean, IE10+, CORS only
-        timeout: long, ms timeout, IE8+
-        onprogress: callback, IE10+
+        This process turns this:
+        untypedArray: {
+            $type: 'type'
+            $values: [...]
+        }
+        into:
+        untypedArray: [...]
+        untypedArray.$type = 'type'
 
-        The callback function is given three arguments:
-        statusCode: integer status or null
-        response:
-            if responseType set and supported by browser, this is an object of some type (see docs)
-            otherwise if request completed, this is the string text of the response
-            if request is aborted, this is "Abort"
-            if request times out, this is "Timeout"
-            if request errors before completing (probably a CORS issue), this is "Error"
-        request: the request object
+        regular arrays remain untouched.
 
-        Examples:
-        For GET requests where only the url parameter is required simply specify the url.
-        utils.ajax('http://api.com/', function(response){
-            if (statusCode === 200) {
-                alert('ok');
-            } else {
-                alert('error');
-            } 
-        });
+        @param {object|array} typedArrayObject The array object to normalize.
+        @returns {array} The normalized array
+        */
+        normalizeJsonDotNetTypedArrays: function(typedArrayObject) {
+            if (Array.isArray(typedArrayObject)) {
+                return typedArrayObject;
+            }
 
-        utils.ajax({url: 'myUrl'}, function(response){
-            if (statusCode === 200) {
-                alert('ok');
-            } else {
-                alert('error');
-            } 
+            if (!typedArrayObject.$values || !Array.isArray(typedArrayObject.$values)) throw new Error('The given object is not supported. The $values key must be an array.');
+
+            typedArrayObject.$values.$type = typedArrayObject.$type;
+            return typedArrayObject.$values;
+        },
+        /**
+        Registers a constructor for a Json.Net $type so fossen.reviveJsonDotNet creates instances of it and fossen.toJsonDotNet emits the type for its instances.
+        @param {string} typeString The type as written by Json.Net (e.g. "Solution.Project.Entities.MyClass, Solution.Project") or only the type name (e.g. "MyClass").
+        @param {function} constructor The constructor whose prototype revived objects of the type will get.
+        */
+        registerJsonDotNetType: (function () {
+            var types = {};
+            var registerJsonDotNetType = function (typeString, constructor) {
+                if (typeof constructor !== 'function') throw new Error('constructor must be a function');
+                types[typeString] = constructor;
+            };
+
+            registerJsonDotNetType.types = types;
+
+            return registerJsonDotNetType;
+        })(),
+        /**
+        Revives a complete Json.Net payload serialized with PreserveReferencesHandling and/or TypeNameHandling. The payload is modified in place.
+        - Objects with $ref are replaced with the object having the matching $id, so shared and cyclic references become real object references.
+        - Every {$type, $values} typed array at any depth is normalized as by fossen.normalizeJsonDotNetTypedArrays.
+        - Objects with a $type matching a registered type (see fossen.registerJsonDotNetType or options.types) get the prototype of its constructor.
+          Types are looked up by the full type string first, then without the assembly, then by the full name without generic arguments and last by the type name.
+          A $type that is not a valid type name is only looked up by the full type string.
+        - $id keys are removed. $type keys are kept unless options.removeTypes is true.
+
+        E.g.:
+        fossen.http.get('/api/orders').then(function (response) {
+            var orders = fossen.reviveJsonDotNet(response.data);
+            orders[0].customer === orders[1].customer; //true when the server sent a $ref
         });
 
-        @param {object|string} options The options for the request or the url. See details above.
-        @param {function} callback The callback function that is executed once the request completes or fails.
+        @param {*} payload The parsed json payload.
+        @param {object} [options] Optional {types: {typeString: constructor}, removeTypes: bool}
+        @returns {*} The revived payload.
         */
-        ajax: (function(){
-            var global = window,
-                reqfields = ['responseType', 'withCredentials', 'timeout', 'onprogress'];
-            var getRequest = function (cors) {
-                // XDomainRequest is only way to do CORS in IE 8 and 9
-                // But XDomainRequest isn't standards-compatible
-                // Notably, it doesn't allow cookies to be sent or set by servers
-                // IE 10+ is standards-compatible in its XMLHttpRequest
-                // but IE 10 can still have an XDomainRequest object, so we don't want to use it
-                if (cors && global.XDomainRequest && !/MSIE 1/.test(navigator.userAgent))
-                    return new XDomainRequest;
-                if (global.XMLHttpRequest)
-                    return new XMLHttpRequest;
+        reviveJsonDotNet: function (payload, options) {
+            var ids = {},
+                fixups = [],
+                types;
+
+            options = options || {};
+            types = pub.assign(pub.assign({}, pub.registerJsonDotNetType.types), options.types || {});
+
+            //Only own constructors count, so a $type like "toString" does not find members of Object.prototype
+            var lookupType = function (name) {
+                return Object.prototype.hasOwnProperty.call(types, name) && typeof types[name] === 'function' ? types[name] : undefined;
             };
-            var setDefault = function (obj, key, value) {
-                obj[key] = obj[key] || value;
+
+            var findConstructor = function (typeString) {
+                var type;
+                if (typeof typeString !== 'string') return undefined;
+                if (lookupType(typeString)) return lookupType(typeString);
+                try {
+                    type = pub.parseTypeName(typeString);
+                } catch (e) {
+                    //Leave objects with a $type that is not a valid type name as they are
+                    return undefined;
+                }
+                return lookupType(pub.formatTypeName(type, { assembly: false })) || lookupType(type.fullName) || lookupType(type.name);
             };
 
-            // Simple and small ajax function
-            // Takes a parameters object and a callback function
-            // Parameters:
-            //  - url: string, required
-            //  - headers: object of `{header_name: header_value, ...}`
-            //  - body:
-            //      + string (sets content type to 'application/x-www-form-urlencoded' if not set in headers)
-            //      + FormData (doesn't set content type so that browser will set as appropriate)
-            //  - method: 'GET', 'POST', etc. Defaults to 'GET' or 'POST' based on body
-            //  - cors: If your using cross-origin, you will need this true for IE8-9
-            //
-            // The following parameters are passed onto the xhr object.
-            // IMPORTANT NOTE: The caller is responsible for compatibility checking.
-            //  - responseType: string, various compatability, see xhr docs for enum options
-            //  - withCredentials: boolean, IE10+, CORS only
-            //  - timeout: long, ms timeout, IE8+
-            //  - onprogress: callback, IE10+
-            //
-            // Callback function prototype:
-            //  - statusCode from request
-            //  - response
-            //    + if responseType set and supported by browser, this is an object of some type (see docs)
-            //    + otherwise if request completed, this is the string text of the response
-            //    + if request is aborted, this is "Abort"
-            //    + if request times out, this is "Timeout"
-            //    + if request errors before completing (probably a CORS issue), this is "Error"
-            //  - request object
-            //
-            // Returns the request object. So you can call .abort() or other methods
-            //
-            // DEPRECATIONS:
-            //  - Passing a string instead of the params object has been removed!
-            //
-            return function (params, callback) {
-                if (typeof params === 'string') {
-                    params = { url: params };
+            var revive = function (node, container, key) {
+                var target, constructor;
+
+                if (!node || typeof node !== 'object') return node;
+
+                if (Array.isArray(node)) {
+                    node.forEach(function (item, idx) {
+                        node[idx] = revive(item, node, idx);
+                    });
+                    return node;
                 }
 
-                // Any variable used more than once is var'd here because
-                // minification will munge the variables whereas it can't munge
-                // the object access.
-                var headers = params.headers || {}
-                  , body = params.body
-                  , method = params.method || (body ? 'POST' : 'GET')
-                  , called = false;
+                if (node.$ref !== undefined) {
+                    if (ids.hasOwnProperty(node.$ref)) return ids[node.$ref];
+                    fixups.push({ container: container, key: key, ref: node.$ref });
+                    return node;
+                }
 
-                var req = getRequest(params.cors);
+                if (Array.isArray(node.$values)) {
+                    target = node.$values;
+                    if (node.$type !== undefined && !options.removeTypes) target.$type = node.$type;
+                    if (node.$id !== undefined) ids[node.$id] = target;
+                    return revive(target, container, key);
+                }
 
-                function cb(statusCode, responseText) {
-                    return function () {
-                        if (!called)
-                            callback(req.status === undefined ? statusCode : req.status,
-                                     req.response || req.responseText || responseText,
-                                     req);
-                        called = true;
+                constructor = findConstructor(node.$type);
+                target = constructor ? Object.create(constructor.prototype) : node;
+                if (node.$id !== undefined) ids[node.$id] = target;
+
+                Object.keys(node).forEach(function (property) {
+                    if (property === '$id' || (property === '$type' && options.removeTypes)) {
+                        if (target === node) delete node[property];
+                        return;
                     }
+                    target[property] = revive(node[property], target, property);
+                });
+
+                return target;
+            };
+
+            payload = revive(payload);
+
+            fixups.forEach(function (fixup) {
+                if (!ids.hasOwnProperty(fixup.ref)) throw pub.newError('Unresolved Json.Net reference $ref: ' + fixup.ref, fixup, false);
+                if (fixup.container) {
+                    fixup.container[fixup.key] = ids[fixup.ref];
+                } else {
+                    payload = ids[fixup.ref];
                 }
+            });
 
-                req.open(method, params.url, true);
+            return payload;
+        },
+        /**
+        The reverse of fossen.reviveJsonDotNet. Creates a json-ready copy of an object graph that Json.Net can deserialize with PreserveReferencesHandling,
+        the graph itself is not modified.
+        - The first occurrence of every object gets an $id and later occurrences (shared or cyclic) are written as {$ref: id}.
+        - Objects with a $type key and instances of registered types (see fossen.registerJsonDotNetType or options.types) get $type written after $id.
+        - Arrays with a $type key (from fossen.normalizeJsonDotNetTypedArrays) are written as {$type, $values}.
+        - With options.preserveArrayReferences arrays are written as {$id, $values} so shared arrays are preserved as well.
 
-                var success = req.onload = cb(200);
-                req.onreadystatechange = function () {
-                    if (req.readyState === 4) success();
+        E.g.:
+        fossen.http.post('/api/orders', fossen.toJsonDotNet(order));
+
+        @param {*} graph The object graph to convert.
+        @param {object} [options] Optional {types: {typeString: constructor}, preserveArrayReferences: bool}
+        @returns {*} The converted copy ready for JSON.stringify.
+        */
+        toJsonDotNet: function (graph, options) {
+            var ids = new Map(),
+                nextId = 0,
+                typeEntries;
+
+            options = options || {};
+            typeEntries = Object.keys(pub.assign(pub.assign({}, pub.registerJsonDotNetType.types), options.types || {})).map(function (typeString) {
+                return { typeString: typeString, constructor: (options.types || {})[typeString] || pub.registerJsonDotNetType.types[typeString] };
+            });
+
+            var findTypeString = function (obj) {
+                var proto = Object.getPrototypeOf(obj),
+                    entry;
+
+                if (obj.$type !== undefined) return obj.$type;
+
+                entry = pub.find(typeEntries, function (entry) {
+                    return entry.constructor.prototype === proto;
+                });
+                return entry ? entry.typeString : undefined;
+            };
+
+            var convert = function (node) {
+                var result, typeString, arrayWrapper;
+
+                if (!node || typeof node !== 'object') return node;
+                if (typeof node.toJSON === 'function') return node.toJSON();
+
+                if (ids.has(node)) {
+                    if (ids.get(node) === undefined) throw new Error('Arrays containing themselves require options.preserveArrayReferences');
+                    return { $ref: ids.get(node) };
                 }
-                req.onerror = cb(null, 'Error');
-                req.ontimeout = cb(null, 'Timeout');
-                req.onabort = cb(null, 'Abort');
 
-                if (body) {
-                    setDefault(headers, 'X-Requested-With', 'XMLHttpRequest');
+                if (Array.isArray(node)) {
+                    arrayWrapper = {};
+                    if (options.preserveArrayReferences) {
+                        arrayWrapper.$id = String(++nextId);
+                    }
+                    ids.set(node, arrayWrapper.$id);
+                    result = node.map(convert);
+                    if (!options.preserveArrayReferences) ids.delete(node);
+
+                    if (node.$type !== undefined) arrayWrapper.$type = node.$type;
+                    if (arrayWrapper.$id === undefined && arrayWrapper.$type === undefined) return result;
+                    arrayWrapper.$values = result;
+                    return arrayWrapper;
+                }
+
+                result = { $id: String(++nextId) };
+                ids.set(node, result.$id);
+
+                typeString = findTypeString(node);
+                if (typeString !== undefined) result.$type = typeString;
+
+                Object.keys(node).forEach(function (key) {
+                    if (key === '$id' || key === '$type' || typeof node[key] === 'function' || node[key] === undefined) return;
+                    result[key] = convert(node[key]);
+                });
+
+                return result;
+            };
+
+            return convert(graph);
+        },
+        /**
+        Copies keys with values optionally matching the filter from source to target and optionally maps the values through the mutator function.
+        @param {mixed} target The target object that will receive all keys and values from source.
+        @param {object} source The source object from which keys and values will be copied.
+        @param {function(key, value)} [mutator] Optional mutator function that takes the key and value from source and returns the new value that will be placed on the target.
+        @param {function(key, value)} [filter] Optional filter function that takes the key and value and returns true if the value should be placed on the target.
+        @returns {mixed} The target object after modification.
+        */
+        assign: function (target, source, mutator, filter) {
+            Object.keys(source).forEach(function(key) {
+                var value = source[key];
+                if (typeof filter === 'function') {
+                    if (!filter(key, value)) return;
+                }
+                if (typeof mutator === 'function') {
+                    value = mutator(key, value);
+                }
+                target[key] = value;
+            });
+
+            return target;
+        },
+        /**
+        Convers an array into an object by using the items as keys and the index as values.
+        @param {Array} arr The array to convert
+        @param {function} [keyMutator] An optional key mutator function given (item, index, arr) whose result will be the key for an item.
+        @param {function} [valueMutator] An optional value mutator function given (item, index, arr) whose result will be the value for an item.
+        @returns {object} An object where the keys are array values and values are item indexes (or the results of valueMutator).
+        */
+        assignArray: function(arr, keyMutator, valueMutator){
+            var obj = {};
+            arr.forEach(function (item, index) {
+                var key = !!keyMutator ? keyMutator(item, index, arr) : item;
+                var value = !!valueMutator ? valueMutator(item, index, arr) : index;
+                obj[key] = value;
+            });
+            return obj;
+        },
+        /**
+        Takes an object and stores it in the given namespace. Will overwrite any existing object.
+        See fossen.path.set for storing at any path (with array indexes) in any object.
+        @param {string} namespace Full namespace to store the object in.
+        @param {object} object The object to store.
+        @param {bool} [createIfNotExist=false] Create the namespace if it does not exist.
+        @param {object} [rootObject=window] The root object on which to look for the namespace.
+        @returns {object} The stored object.
+        */
+        storeInNamespace: function (namespace, object, createIfNotExist, rootObject) {
+            var namespaceParts = namespace.split('.'),
+                currentName, currentObj;
+
+            rootObject = rootObject || window;
+
+            while (namespaceParts.length > 1) {
+                currentName = namespaceParts.shift();
+                currentObj = rootObject[currentName];
+                if (!currentObj && createIfNotExist) {
+                    currentObj = rootObject[currentName] = {};
+                }
+                if (!currentObj) throw new Error('Namespace part ' + currentName + ' not found on object. Complete namespace was: ' + namespace);
+                rootObject = currentObj;
+            }
+
+            rootObject[namespaceParts[0]] = object;
+
+            return object;
+        },
+        /**
+        Checks if the given period-separated namespace exists (is defined), see fossen.path for the supported paths.
+        E.g.: Alpha.Bravo.Charlie
+        @param {string} namespace The namespace string to check
+        @param {object} [rootObject=window] The root object on which to look for the namespace.
+        @return {bool} True if the namespace is set (is not undefined, falsy values like 0 are set) false if any part of it is undefined
+        */
+        namespaceExists: function(namespace, rootObject){
+            return pub.path.get(rootObject || window, namespace) !== undefined;
+        },
+        /**
+        Reads and writes values at a path in any object.
+        A path is a string of property names separated by periods with array indexes and quoted names in brackets, e.g. 'orders[3].lines[0].qty' or
+        'labels["en.US"]'. A period that is part of a name is escaped with a backslash ('settings.a\\.b' is the name "a.b" in settings). A path may also
+        be given as an array of names, e.g. ['orders', 3, 'lines'].
+
+        set and update create missing objects on the way, an array if the next name is an index (e.g. [0] or .0) and an object otherwise.
+        The names __proto__, constructor and prototype are not allowed when writing to avoid prototype pollution.
+
+        E.g.:
+        fossen.path.get(order, 'lines[0].product.name', 'Unknown');
+        fossen.path.set(state, 'filters.tags[0]', 'new'); // state.filters.tags is created as an array
+        fossen.path.update(state, 'counters.saved', function (count) { return (count || 0) + 1; });
+        */
+        path: (function () {
+            var forbidden = ['__proto__', 'constructor', 'prototype'],
+                cache = new Map(),
+                maxCacheSize = 500;
+
+            var isIndex = function (name) {
+                return typeof name === 'number' || /^(0|[1-9]\d*)$/.test(name);
+            };
+
+            var parse = function (path) {
+                var names = [], name = '', pending = false, i = 0, ch, quote;
+
+                if (Array.isArray(path)) return path.slice();
+                if (typeof path === 'number') return [path];
+                path = String(path);
+                if (cache.has(path)) return cache.get(path).slice();
+
+                var push = function (quoted) {
+                    names.push(!quoted && isIndex(name) ? parseInt(name, 10) : name);
+                    name = '';
+                    pending = false;
+                };
+
+                while (i < path.length) {
+                    ch = path.charAt(i++);
+                    if (ch === '\\') {
+                        name += path.charAt(i++);
+                        pending = true;
+                    } else if (ch === '.') {
+                        if (pending) push(false);
+                        pending = true;
+                    } else if (ch === '[') {
+                        if (pending && name) push(false);
+                        quote = path.charAt(i);
+                        if (quote === '"' || quote === "'") {
+                            i++;
+                            while (i < path.length && path.charAt(i) !== quote) {
+                                if (path.charAt(i) === '\\') i++;
+                                name += path.charAt(i++);
+                            }
+                            if (path.charAt(i + 1) !== ']') throw new Error('Unterminated quoted name in path ' + path);
+                            i += 2;
+                            push(true);
+                        } else {
+                            while (i < path.length && path.charAt(i) !== ']') {
+                                name += path.charAt(i++);
+                            }
+                            if (path.charAt(i) !== ']') throw new Error('Missing ] in path ' + path);
+                            i++;
+                            push(false);
+                        }
+                    } else {
+                        name += ch;
+                        pending = true;
+                    }
+                }
+                if (pending) push(false);
+
+                //Paths may come from user input, so only keep a limited number of them
+                if (cache.size >= maxCacheSize) cache.delete(cache.keys().next().value);
+                cache.set(path, names);
+                return names.slice();
+            };
+
+            var hasOwn = function (obj, name) {
+                return obj !== null && obj !== undefined && Object.prototype.hasOwnProperty.call(Object(obj), name);
+            };
+
+            var assertWritable = function (names) {
+                names.forEach(function (name) {
+                    if (forbidden.indexOf(String(name)) !== -1) throw new Error('Writing to ' + name + ' is not allowed in paths');
+                });
+            };
+
+            //Returns the object holding the last name, creating missing objects on the way
+            var parentFor = function (root, names) {
+                var current = root, i, next;
+
+                for (i = 0; i < names.length - 1; i++) {
+                    next = current[names[i]];
+                    if (next === undefined || next === null) {
+                        next = current[names[i]] = isIndex(names[i + 1]) ? [] : {};
+                    } else if (typeof next !== 'object' && typeof next !== 'function') {
+                        throw new Error('Cannot create ' + names[i + 1] + ' in ' + names.slice(0, i + 1).join('.') + ' which is a ' + typeof next);
+                    }
+                    current = next;
+                }
+
+                return current;
+            };
+
+            return {
+                /**
+                Splits a path into its names. Indexes are returned as numbers.
+                @param {string|Array} path The path.
+                @returns {Array} The names, e.g. ['orders', 3, 'lines', 0, 'qty'] for 'orders[3].lines[0].qty'.
+                */
+                parse: parse,
+                /**
+                @param {object} root The object to start from.
+                @param {string|Array} path The path.
+                @param {*} [defaultValue] Returned if the path does not exist or the value is undefined.
+                @returns {*} The value at the path.
+                */
+                get: function (root, path, defaultValue) {
+                    var names = parse(path), current = root, i;
+
+                    for (i = 0; i < names.length; i++) {
+                        if (current === null || current === undefined || forbidden.indexOf(String(names[i])) !== -1) return defaultValue;
+                        current = current[names[i]];
+                    }
+
+                    return current === undefined ? defaultValue : current;
+                },
+                /**
+                @param {object} root The object to start from.
+                @param {string|Array} path The path.
+                @returns {bool} True if every name in the path is an own property, even if the value is falsy or undefined.
+                */
+                has: function (root, path) {
+                    var names = parse(path), current = root, i;
+
+                    for (i = 0; i < names.length; i++) {
+                        if (!hasOwn(current, names[i])) return false;
+                        current = current[names[i]];
+                    }
+
+                    return names.length > 0;
+                },
+                /**
+                Sets the value at the path, creating missing objects and arrays.
+                @param {object} root The object to start from.
+                @param {string|Array} path The path.
+                @param {*} value The value to set.
+                @returns {object} The root object.
+                */
+                set: function (root, path, value) {
+                    var names = parse(path);
+
+                    if (!names.length) throw new Error('An empty path cannot be set');
+                    assertWritable(names);
+                    parentFor(root, names)[names[names.length - 1]] = value;
+
+                    return root;
+                },
+                /**
+                Removes the property at the path (like the delete operator, so an array keeps its length).
+                @param {object} root The object to start from.
+                @param {string|Array} path The path.
+                @returns {bool} True if the property existed and was removed.
+                */
+                'delete': function (root, path) {
+                    var names = parse(path), parent = root, i;
+
+                    if (!names.length) return false;
+                    assertWritable(names);
+                    for (i = 0; i < names.length - 1; i++) {
+                        if (!hasOwn(parent, names[i])) return false;
+                        parent = parent[names[i]];
+                    }
+                    if (!hasOwn(parent, names[names.length - 1])) return false;
+
+                    return delete parent[names[names.length - 1]];
+                },
+                /**
+                Replaces the value at the path with the result of an updater, creating missing objects and arrays.
+                @param {object} root The object to start from.
+                @param {string|Array} path The path.
+                @param {function(value)} updater Given the current value (undefined if missing), returns the new value.
+                @returns {object} The root object.
+                */
+                update: function (root, path, updater) {
+                    var names = parse(path), parent, name;
+
+                    if (!names.length) throw new Error('An empty path cannot be updated');
+                    assertWritable(names);
+                    parent = parentFor(root, names);
+                    name = names[names.length - 1];
+                    parent[name] = updater(parent[name]);
+
+                    return root;
+                }
+            };
+        })(),
+
+        /**
+        Returns a logger for a namespace with the methods debug, info, warn and error (all taking any arguments like console.log) and
+        enabled(level) to test if anything would be written. Loggers are cached per namespace and sub loggers are made with extend('name')
+        (a logger for "myapp" extended with "orders" logs as "myapp:orders"). fossen itself logs as "fossen:<module>", e.g. "fossen:retry".
+
+        Namespaces are enabled by a pattern list: namespaces separated by commas or spaces where * matches anything
+        and a leading - disables matching namespaces, e.g. "fossen:*,-fossen:retry" or "*". A pattern may end with =level to set the lowest level
+        written for it, e.g. "myapp:*=info,fossen:*=warn". The patterns are read from the query parameter "fossen-log" or the localStorage
+        key "fossen:log" or set with fossen.logger.enable.
+        The patterns in fossen.logger.defaults.patterns ("*=warn", so warnings and errors are written for every namespace) come before them,
+        so "-fossen:*" silences fossen itself. fossen.logger.disable() silences everything.
+
+        Entries ({namespace, level, args, timestamp}) are written to every sink. A sink is a function(entry) or an object with write(entry).
+        The console sink is added by default, fossen.logger.ringBuffer and fossen.logger.remote create the other built-in sinks.
+
+        E.g.:
+        var log = fossen.logger('myapp:orders');
+        log.info('Saved order', order.id);
+
+        fossen.logger.enable('myapp:*,fossen:*=warn', true);
+        var buffer = fossen.logger.ringBuffer(500);
+        fossen.logger.addSink(buffer);
+        fossen.logger.addSink(fossen.logger.remote({ endpoint: '/api/logs', level: 'warn' }));
+
+        @param {string} namespace The namespace of the logger.
+        @returns {object} The logger.
+        */
+        logger: (function () {
+            var levels = { debug: 10, info: 20, warn: 30, error: 40 },
+                loggers = {},
+                patterns = null,
+                sinks = [],
+                storageKey = 'fossen:log',
+                queryParam = 'fossen-log';
+
+            var escapeRegExp = function (str) {
+                return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            };
+
+            var parsePatterns = function (str) {
+                return String(str || '').split(/[\s,]+/).filter(function (pattern) {
+                    return !!pattern;
+                }).map(function (pattern) {
+                    var exclude = pattern.charAt(0) === '-',
+                        parts = (exclude ? pattern.substr(1) : pattern).split('='),
+                        level = levels.hasOwnProperty(parts[1]) ? parts[1] : 'debug';
+
+                    pattern = parts[0];
+
+                    return {
+                        exclude: exclude,
+                        level: levels[level],
+                        regExp: new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*?') + '$')
+                    };
+                });
+            };
+
+            var readSetting = function () {
+                var match = new RegExp('[?&]' + escapeRegExp(queryParam) + '=([^&#]*)').exec(location.search);
+
+                if (match) return decodeURIComponent(match[1].replace(/\+/g, ' '));
+                try {
+                    return window.localStorage.getItem(storageKey) || '';
+                } catch (e) {
+                    return '';
+                }
+            };
+
+            //The lowest level written for a namespace, Infinity if disabled. Excluding patterns win, otherwise the last matching pattern.
+            var lowestLevel = function (namespace) {
+                var result = Infinity;
+
+                if (patterns === null) patterns = parsePatterns(logger.defaults.patterns + ',' + readSetting());
+
+                for (var i = 0; i < patterns.length; i++) {
+                    if (!patterns[i].regExp.test(namespace)) continue;
+                    if (patterns[i].exclude) return Infinity;
+                    result = patterns[i].level;
+                }
+
+                return result;
+            };
+
+            var write = function (namespace, level, args) {
+                var entry;
+
+                if (levels[level] < lowestLevel(namespace)) return;
+
+                entry = { namespace: namespace, level: level, args: pub.toArray(args), timestamp: Date.now() };
+                sinks.slice().forEach(function (sink) {
+                    try {
+                        if (typeof sink === 'function') {
+                            sink(entry);
+                        } else {
+                            sink.write(entry);
+                        }
+                    } catch (e) { }
+                });
+            };
+
+            var createLogger = function (namespace) {
+                var log = {
+                    namespace: namespace,
+                    /**
+                    @param {string} [level='debug'] The level.
+                    @returns {bool} True if entries of the level are written for this namespace.
+                    */
+                    enabled: function (level) {
+                        return levels[level || 'debug'] >= lowestLevel(namespace);
+                    },
+                    /**
+                    @param {string} name The name of the sub namespace.
+                    @returns {object} The logger for namespace:name.
+                    */
+                    extend: function (name) {
+                        return logger(namespace + ':' + name);
+                    }
+                };
+
+                Object.keys(levels).forEach(function (level) {
+                    log[level] = function () {
+                        write(namespace, level, arguments);
+                    };
+                });
+
+                return log;
+            };
+
+            var logger = function (namespace) {
+                if (!namespace) throw new Error('A logger needs a namespace');
+                if (!loggers.hasOwnProperty(namespace)) loggers[namespace] = createLogger(namespace);
+                return loggers[namespace];
+            };
+
+            //Makes log arguments safe to send as JSON
+            var serializeArg = function (arg) {
+                var seen = [];
+
+                if (pub.errors.isError(arg)) {
+                    return { name: arg.name, message: arg.message, stack: arg.stack };
+                }
+                if (!arg || typeof arg !== 'object') return typeof arg === 'function' ? '[Function]' : arg;
+
+                try {
+                    return JSON.parse(JSON.stringify(arg, function (key, value) {
+                        if (value && typeof value === 'object') {
+                            if (seen.indexOf(value) !== -1) return '[Circular]';
+                            if (window.Node && value instanceof window.Node) return '[' + value.nodeName + ']';
+                            seen.push(value);
+                        }
+                        return value;
+                    }));
+                } catch (e) {
+                    return String(arg);
+                }
+            };
+
+            logger.levels = levels;
+            logger.defaults = { patterns: '*=warn' };
+
+            /**
+            Sets the patterns of enabled namespaces (see above), they are added after fossen.logger.defaults.patterns.
+            @param {string} patternList The patterns, e.g. "fossen:*,-fossen:retry".
+            @param {bool} [persist=false] True to also save the patterns in localStorage so they are used on the next page load.
+            */
+            logger.enable = function (patternList, persist) {
+                patterns = parsePatterns(logger.defaults.patterns + ',' + patternList);
+                if (!persist) return;
+                try {
+                    window.localStorage.setItem(storageKey, patternList);
+                } catch (e) { }
+            };
+
+            /**
+            Disables all namespaces (including the default patterns) and removes the patterns saved in localStorage.
+            */
+            logger.disable = function () {
+                patterns = [];
+                try {
+                    window.localStorage.removeItem(storageKey);
+                } catch (e) { }
+            };
+
+            /**
+            Adds a sink that receives every written entry.
+            @param {function|object} sink A function(entry) or an object with write(entry).
+            @returns {function} A function that removes the sink again.
+            */
+            logger.addSink = function (sink) {
+                sinks.push(sink);
+                return function () {
+                    logger.removeSink(sink);
+                };
+            };
+
+            /**
+            @param {function|object} sink The sink to remove.
+            */
+            logger.removeSink = function (sink) {
+                var index = sinks.indexOf(sink);
+                if (index !== -1) sinks.splice(index, 1);
+            };
+
+            /**
+            The default sink. Writes to the console method of the level, prefixed with the namespace.
+            */
+            logger.console = function (entry) {
+                var method = console[entry.level] ? entry.level : 'log';
+                console[method].apply(console, ['[' + entry.namespace + ']'].concat(entry.args));
+            };
+
+            /**
+            Creates a sink that keeps the latest entries in memory, e.g. to attach them to a bug report.
+            @param {int} [size=200] The number of entries kept.
+            @returns {object} The sink with entries() returning the kept entries (oldest first) and clear().
+            */
+            logger.ringBuffer = function (size) {
+                var entries = [];
+
+                size = size || 200;
+
+                return {
+                    write: function (entry) {
+                        entries.push(entry);
+                        if (entries.length > size) entries.shift();
+                    },
+                    entries: function () {
+                        return entries.slice();
+                    },
+                    clear: function () {
+                        entries = [];
+                    }
+                };
+            };
+
+            /**
+            Creates a sink that posts entries in batches as JSON {logs: [...]} with fossen.ajax. Arguments are made JSON safe (errors become
+            {name, message, stack}). Entries that fail to send are dropped.
+            Supported options:
+            endpoint: string, required, the url the entries are posted to
+            level: string, the lowest level sent (default 'info')
+            batchSize: int, default 20
+            flushInterval: int, ms, default 5000
+            @param {object} options The options.
+            @returns {object} The sink with flush() to send waiting entries immediately.
+            */
+            logger.remote = function (options) {
+                var queue = [], timer = null, sink;
+
+                if (!options || !options.endpoint) throw new Error('An endpoint is required to send log entries');
+                options = pub.assign({ level: 'info', batchSize: 20, flushInterval: 5000 }, options);
+
+                sink = {
+                    write: function (entry) {
+                        if (levels[entry.level] < levels[options.level]) return;
+
+                        queue.push({
+                            namespace: entry.namespace,
+                            level: entry.level,
+                            args: entry.args.map(serializeArg),
+                            timestamp: entry.timestamp
+                        });
+
+                        if (queue.length >= options.batchSize) {
+                            sink.flush();
+                        } else if (!timer) {
+                            timer = setTimeout(sink.flush, options.flushInterval);
+                        }
+                    },
+                    flush: function () {
+                        clearTimeout(timer);
+                        timer = null;
+                        if (!queue.length) return;
+
+                        pub.ajax({
+                            url: options.endpoint,
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ logs: queue.splice(0, queue.length) })
+                        }, function () { });
+                    }
+                };
+
+                return sink;
+            };
+
+            sinks.push(logger.console);
+
+            return logger;
+        })(),
+        /**
+        Creates a new error object of type Error with the optional data.
+        If the error reporter is enabled (see fossen.errorReporter) the error is captured for reporting.
+        @param {string} message The error message.
+        @param {object} [data] Any optional data. Appended to the error object as the property "data". If data has a cause it is also set as the cause of the error.
+        @param {bool} [logData=true] Whether or not to log the data object and message immediately (as an error from the logger "fossen:error", see fossen.logger). This is usefull for debugging as the data is swallowed if the error is not handled.
+        @param {function} [ErrorType=Error] The type of error to create, e.g. one of fossen.errors.
+        @return {Error} A new error object 
+        */
+        newError: function(message, data, logData, ErrorType){
+            var err = ErrorType ? new ErrorType(message) : new Error(message);
+
+            if (data) {
+                err.data = data;
+                if (data.cause !== undefined) err.cause = data.cause;
+            }
+
+            if (logData !== false) {
+                pub.logger('fossen:error').error(message, data);
+            }
+            
+            //Remove this function from the stack to avoid confusion.
+            if (err.stack) {
+                var cleanStack = err.stack,
+                    firstNewLine = cleanStack.indexOf('\n'),
+                    secondNewLine = cleanStack.substr(firstNewLine + 1).indexOf('\n');
+                cleanStack = cleanStack.substr(0, firstNewLine) + cleanStack.substr(secondNewLine + 1 + firstNewLine);
+                err.stack = cleanStack;
+            }
+
+            if (pub.errorReporter.isEnabled()) {
+                pub.errorReporter.capture(err, { source: 'newError' });
+            }
+            return err;
+        },
+        /**
+        Error types that carry a cause chain and optional data. All inherit from fossen.errors.AppError (which inherits from Error) and take
+        (message, options) where options may have cause (the error that caused this one) and data, plus the type specific options below.
+            AppError - The base type.
+            NetworkError - A request failed. options: status, url
+            ValidationError - Input was invalid. options: fields, an object of {fieldName: [messages]}
+            TimeoutError - Something took too long. options: timeout (ms)
+            NotFoundError - A resource does not exist. options: resource
+
+        E.g.:
+        throw new fossen.errors.NotFoundError('Order 42 was not found', { resource: 'order', cause: httpError });
+
+        fossen.errors.causeChain(error) returns the error followed by all of its causes and fossen.errors.isError(value) tells if a value is an error.
+        */
+        errors: (function () {
+            var defineError = function (name, Parent, properties) {
+                var ErrorType = function (message, options) {
+                    var stackSource = new Error(message),
+                        self = this,
+                        frames;
+
+                    options = options || {};
+                    this.name = name;
+                    this.message = stackSource.message;
+                    if (options.cause !== undefined) this.cause = options.cause;
+                    if (options.data !== undefined) this.data = options.data;
+                    (properties || []).forEach(function (property) {
+                        self[property] = options[property];
+                    });
+                    if (stackSource.stack) {
+                        //Some browsers start the stack with "Error: message" (which may span several lines), drop it and the frame of this constructor
+                        frames = stackSource.stack;
+                        if (frames.indexOf(String(stackSource)) === 0) frames = frames.substr(String(stackSource).length + 1);
+                        frames = frames.substr(frames.indexOf('\n') + 1);
+                        this.stack = name + (stackSource.message ? ': ' + stackSource.message : '') + '\n' + frames;
+                    }
+                };
+
+                ErrorType.prototype = Object.create(Parent.prototype);
+                ErrorType.prototype.constructor = ErrorType;
+                ErrorType.prototype.name = name;
+
+                return ErrorType;
+            };
+
+            var AppError = defineError('AppError', Error);
+
+            return {
+                AppError: AppError,
+                NetworkError: defineError('NetworkError', AppError, ['status', 'url']),
+                ValidationError: defineError('ValidationError', AppError, ['fields']),
+                TimeoutError: defineError('TimeoutError', AppError, ['timeout']),
+                NotFoundError: defineError('NotFoundError', AppError, ['resource']),
+                /**
+                @param {*} value The value to check.
+                @returns {bool} True if the value is an Error (including fossen.errors types and errors from other frames).
+                */
+                isError: function (value) {
+                    if (value instanceof Error) return true;
+                    if (!value || typeof value !== 'object') return false;
+                    //Errors from other frames fail instanceof
+                    return Object.prototype.toString.call(value) === '[object Error]' ||
+                        (typeof value.name === 'string' && typeof value.message === 'string' && typeof value.stack === 'string');
+                },
+                /**
+                @param {*} error The error to start from.
+                @returns {Array} The error followed by its cause, the cause of that and so on.
+                */
+                causeChain: function (error) {
+                    var chain = [];
+                    while (error !== undefined && error !== null && chain.indexOf(error) === -1) {
+                        chain.push(error);
+                        error = error.cause;
+                    }
+                    return chain;
+                }
+            };
+        })(),
+        /**
+        Collects errors and sends them in batches to a server endpoint. Nothing is collected until configure is called.
+
+        Once configured it captures:
+        - Uncaught errors (window error event) and unhandled promise rejections.
+        - Every error created with fossen.newError.
+        - Errors given to capture(error, extra) by hand.
+
+        Each report has fingerprint, name, message, stack, causes (the cause chain, see fossen.errors), data, extra, breadcrumbs, url, userAgent,
+        timestamp and count. Reports with the same fingerprint (type, message with numbers removed and top stack frame) that are waiting to be sent
+        are merged by increasing count and are not sent again within options.dedupeInterval.
+
+        Breadcrumbs are kept of completed fossen.ajax requests, events emitted with fossen.emit and fossen.dispatchCustomEvent and navigation
+        (pushState, replaceState, popstate and hashchange). More can be added with addBreadcrumb(category, message, data).
+
+        Values of keys matching options.scrubKeys are replaced with "[Filtered]" in data, extra and breadcrumb data before anything is stored.
+
+        Reports are posted as JSON {reports: [...]} with fossen.ajax when options.batchSize reports are waiting or options.flushInterval has passed.
+        While offline or if sending fails the reports are kept (also in localStorage when available) and sent when the browser is back online.
+        Failed sends are retried with a growing delay (flushInterval doubled per failure, at most 5 minutes).
+
+        Supported options:
+        endpoint: string, required, the url reports are posted to
+        batchSize: int, default 10
+        flushInterval: int, ms, default 5000
+        maxBreadcrumbs: int, default 30
+        maxBuffer: int, the maximum number of reports kept while offline, default 100
+        dedupeInterval: int, ms, default 60000
+        scrubKeys: (string|RegExp)[], default ['password', 'token', 'secret', 'authorization', 'cookie', '__RequestVerificationToken']. Strings match case insensitively anywhere in the key.
+        context: object, added to every report
+        beforeSend: function(report), return the (modified) report or null to drop it
+
+        E.g.:
+        fossen.errorReporter.configure({ endpoint: '/api/client-errors', context: { version: '1.4.2' } });
+        */
+        errorReporter: (function () {
+            var config = null,
+                queue = [],
+                breadcrumbs = [],
+                lastSent = {},
+                flushTimer = null,
+                sending = false,
+                failures = 0,
+                installed = false,
+                overrides = [],
+                storageKey = 'fossen:errorReports',
+                defaults = {
+                    batchSize: 10,
+                    flushInterval: 5000,
+                    maxBreadcrumbs: 30,
+                    maxBuffer: 100,
+                    dedupeInterval: 60000,
+                    scrubKeys: ['password', 'token', 'secret', 'authorization', 'cookie', '__RequestVerificationToken']
+                };
+
+            var hash = function (str) {
+                var result = 5381, i;
+                for (i = 0; i < str.length; i++) {
+                    result = ((result << 5) + result + str.charCodeAt(i)) | 0;
+                }
+                return (result >>> 0).toString(36);
+            };
+
+            var isScrubbedKey = function (key) {
+                return config.scrubKeys.some(function (pattern) {
+                    return typeof pattern === 'string' ? key.toLowerCase().indexOf(pattern.toLowerCase()) !== -1 : pattern.test(key);
+                });
+            };
+
+            var scrub = function (value, seen) {
+                var copy;
+
+                if (!value || typeof value !== 'object') return value;
+                seen = seen || [];
+                if (seen.indexOf(value) !== -1) return '[Circular]';
+                if (pub.errors.isError(value)) {
+                    seen.push(value);
+                    copy = { name: value.name, message: value.message, stack: value.stack };
+                    if (value.cause !== undefined) copy.cause = scrub(value.cause, seen);
+                    if (value.data !== undefined) copy.data = scrub(value.data, seen);
+                    seen.pop();
+                    return copy;
+                }
+                if (window.Node && value instanceof window.Node) return '[' + value.nodeName + ']';
+                seen.push(value);
+
+                copy = Array.isArray(value) ? [] : {};
+                Object.keys(value).forEach(function (key) {
+                    copy[key] = isScrubbedKey(key) ? '[Filtered]' : scrub(value[key], seen);
+                });
+
+                seen.pop();
+                return copy;
+            };
+
+            var fingerprint = function (error) {
+                var topFrame = (String(error.stack || '').split('\n').slice(1).filter(function (line) {
+                    return !!line.trim();
+                })[0] || '').trim();
+
+                return hash((error.name || 'Error') + '|' + String(error.message).replace(/\d+/g, '#') + '|' + topFrame);
+            };
+
+            //Only called when installing, later the buffer holds the queue itself
+            var loadBuffer = function () {
+                try {
+                    queue = JSON.parse(window.localStorage.getItem(storageKey) || '[]').concat(queue);
+                } catch (e) { }
+            };
+
+            var saveBuffer = function () {
+                try {
+                    if (queue.length) {
+                        window.localStorage.setItem(storageKey, JSON.stringify(queue));
+                    } else {
+                        window.localStorage.removeItem(storageKey);
+                    }
+                } catch (e) { }
+            };
+
+            var scheduleFlush = function () {
+                if (!config) return;
+                if (failures) {
+                    //Back off after failed sends, doubling the wait up to 5 minutes
+                    if (!flushTimer && queue.length) {
+                        flushTimer = setTimeout(reporter.flush, Math.min(config.flushInterval * Math.pow(2, failures - 1), 300000));
+                    }
+                } else if (queue.length >= config.batchSize) {
+                    reporter.flush();
+                } else if (!flushTimer && queue.length) {
+                    flushTimer = setTimeout(reporter.flush, config.flushInterval);
+                }
+            };
+
+            var onError = function (evt) {
+                var error = evt.error;
+                if (!error) {
+                    error = new Error(evt.message || 'Script error');
+                    error.stack = error.name + ': ' + error.message + '\n    at ' + evt.filename + ':' + evt.lineno + ':' + evt.colno;
+                }
+                reporter.capture(error, { source: 'window.onerror' });
+            };
+
+            var onUnhandledRejection = function (evt) {
+                var reason = evt.reason;
+                reporter.capture(pub.errors.isError(reason) ? reason : new Error('Unhandled rejection: ' + (reason && reason.message || String(reason))), {
+                    source: 'unhandledrejection'
+                });
+            };
+
+            var onNavigation = function (evt) {
+                reporter.addBreadcrumb('navigation', evt.type + ' ' + location.href);
+            };
+
+            var install = function () {
+                if (installed) return;
+                installed = true;
+
+                loadBuffer();
+                window.addEventListener('error', onError);
+                window.addEventListener('unhandledrejection', onUnhandledRejection);
+                window.addEventListener('popstate', onNavigation);
+                window.addEventListener('hashchange', onNavigation);
+                window.addEventListener('online', reporter.flush);
+
+                pub.on('ajaxcomplete.errorreporter', function (request) {
+                    if (config && request.url === config.endpoint) return;
+                    reporter.addBreadcrumb('ajax', request.method + ' ' + request.url + ' ' + (request.status || request.response), { duration: request.duration });
+                });
+                overrides.push(pub.overrideMethod(pub, 'dispatchCustomEvent', function (state) {
+                    reporter.addBreadcrumb('event', state.argsAsArray[0]);
+                    return state.callOverridden();
+                }));
+                overrides.push(pub.overrideMethod(pub.eventBus, 'emit', function (state) {
+                    if (typeof state.argsAsArray[0] === 'string' && state.argsAsArray[0].indexOf('ajaxcomplete') !== 0) {
+                        reporter.addBreadcrumb('event', state.argsAsArray[0]);
+                    }
+                    return state.callOverridden();
+                }));
+                if (window.history && window.history.pushState) {
+                    ['pushState', 'replaceState'].forEach(function (method) {
+                        overrides.push(pub.overrideMethod(window.history, method, function (state) {
+                            var result = state.callOverridden();
+                            reporter.addBreadcrumb('navigation', method + ' ' + location.href);
+                            return result;
+                        }));
+                    });
+                }
+            };
+
+            var reporter = {
+                /**
+                Enables error reporting with the options described above.
+                @param {object} options The options.
+                */
+                configure: function (options) {
+                    if (!options || !options.endpoint) throw new Error('An endpoint is required to report errors');
+
+                    config = pub.assign(pub.assign({}, defaults), options, null, function (key, value) {
+                        return value !== undefined;
+                    });
+                    install();
+                    if (queue.length > config.maxBuffer) {
+                        queue = queue.slice(queue.length - config.maxBuffer);
+                        saveBuffer();
+                    }
+                    scheduleFlush();
+                },
+                /**
+                @returns {bool} True if errors are being reported.
+                */
+                isEnabled: function () {
+                    return !!config;
+                },
+                /**
+                Adds a breadcrumb that is sent with the following reports.
+                @param {string} category E.g. 'ajax', 'event', 'navigation' or 'ui'.
+                @param {string} message What happened.
+                @param {object} [data] Optional data (scrubbed).
+                */
+                addBreadcrumb: function (category, message, data) {
+                    if (!config) return;
+
+                    breadcrumbs.push({ category: category, message: message, data: scrub(data), timestamp: Date.now() });
+                    if (breadcrumbs.length > config.maxBreadcrumbs) breadcrumbs.shift();
+                },
+                /**
+                Captures an error for reporting.
+                @param {*} error The error.
+                @param {object} [extra] Optional extra information (scrubbed).
+                @returns {object} The report or undefined if reporting is not enabled, the error was a duplicate or beforeSend dropped it.
+                */
+                capture: function (error, extra) {
+                    var report, existing, now = Date.now();
+
+                    if (!config) return undefined;
+                    if (!error || typeof error !== 'object') error = new Error(String(error));
+
+                    report = {
+                        fingerprint: fingerprint(error),
+                        name: error.name || 'Error',
+                        message: String(error.message),
+                        stack: error.stack,
+                        causes: pub.errors.causeChain(error).slice(1).map(function (cause) {
+                            return { name: cause.name, message: String(cause && cause.message !== undefined ? cause.message : cause), stack: cause.stack };
+                        }),
+                        data: scrub(error.data),
+                        extra: scrub(extra),
+                        context: scrub(config.context),
+                        breadcrumbs: breadcrumbs.slice(),
+                        url: location.href,
+                        userAgent: navigator.userAgent,
+                        timestamp: now,
+                        count: 1
+                    };
+
+                    existing = pub.find(queue, function (queued) {
+                        return queued.fingerprint === report.fingerprint;
+                    });
+                    if (existing) {
+                        existing.count++;
+                        return undefined;
+                    }
+                    if (lastSent[report.fingerprint] && now - lastSent[report.fingerprint] < config.dedupeInterval) return undefined;
+
+                    if (typeof config.beforeSend === 'function') {
+                        report = config.beforeSend(report);
+                        if (!report) return undefined;
+                    }
+
+                    queue.push(report);
+                    if (queue.length > config.maxBuffer) queue.shift();
+                    saveBuffer();
+                    scheduleFlush();
+
+                    return report;
+                },
+                /**
+                Sends the waiting reports now. Does nothing while offline or while a batch is being sent.
+                */
+                flush: function () {
+                    var batch;
+
+                    clearTimeout(flushTimer);
+                    flushTimer = null;
+
+                    if (!config || sending || !queue.length) return;
+                    if (navigator.onLine === false) return;
+
+                    batch = queue.slice(0, config.batchSize);
+                    sending = true;
+
+                    pub.ajax({
+                        url: config.endpoint,
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ reports: batch })
+                    }, function (statusCode) {
+                        var now = Date.now();
+
+                        sending = false;
+                        if (!statusCode || statusCode >= 500) {
+                            //Keep the reports and try again later
+                            failures++;
+                            scheduleFlush();
+                            return;
+                        }
+
+                        failures = 0;
+
+                        batch.forEach(function (report) {
+                            lastSent[report.fingerprint] = now;
+                        });
+                        //Reports may have been dropped by maxBuffer while sending
+                        queue = queue.filter(function (report) {
+                            return batch.indexOf(report) === -1;
+                        });
+                        saveBuffer();
+                        scheduleFlush();
+                    });
+                },
+                /**
+                Stops reporting, removes the global handlers and forgets waiting reports and breadcrumbs (reports buffered in localStorage are kept).
+                */
+                disable: function () {
+                    config = null;
+                    queue = [];
+                    breadcrumbs = [];
+                    failures = 0;
+                    clearTimeout(flushTimer);
+                    flushTimer = null;
+
+                    if (!installed) return;
+                    installed = false;
+                    window.removeEventListener('error', onError);
+                    window.removeEventListener('unhandledrejection', onUnhandledRejection);
+                    window.removeEventListener('popstate', onNavigation);
+                    window.removeEventListener('hashchange', onNavigation);
+                    window.removeEventListener('online', reporter.flush);
+                    pub.off('.errorreporter');
+                    overrides.splice(0).forEach(function (handle) {
+                        handle.restore();
+                    });
+                }
+            };
+
+            return reporter;
+        })(),
+
+        /**
+        Given a node will determine if it matches the given selector.
+        This is a shim for the function node.matches that works cross-browser.
+        @param {Element} node The node to check.
+        @param {string} selector The selector to match against.
+        @return {bool}
+        */
+        nodeMatchesSelector: function (node, selector) {
+            if (!node) throw new Error("Node argument must be defined");
+            var matcher = node.matches ||
+                node.msMatchesSelector ||
+                node.webkitMatchesSelector ||
+                node.mozMatchesSelector;
+
+            if (!matcher) {
+                throw new Error("No node matcher found");
+            }
+
+            return matcher.call(node, selector);
+        },
+        /**
+        Finds the closest ancestor node that matches the selector
+        @param {Element} node The node to start looking for ancestors (is not matched itself).
+        @param {string|Element} selector The selector to match against.
+        @return {Element} The first ancestor matching the selector or undefined if there is no match.
+        */
+        findParentNode: function(node, selector) {
+            var parent = node.parentElement;
+
+            while (parent) {
+                if ((selector instanceof Node) ? (parent === selector) : pub.nodeMatchesSelector(parent, selector)) {
+                    return parent;
+                }
+                parent = parent.parentElement;
+            }
+
+            return undefined;
+        },
+        /**
+        Returns the real offset and page positions of the given elements top left corner.
+        Returns an object with:
+            left: Page relative left position
+            top: Page relative top position
+            windowLeft: Window (frame) relative left postion
+            windowTop: Window (frame) relative top position
+            width: The width of the element
+            height: The height of the element
+
+        @param {Element} el The element to find the offset for.
+        @returns {object} Data about the position relative to page and window.
+        */
+        offset: function (el) {
+            var left = el.offsetLeft,
+                top = el.offsetTop,
+                scrollLeft = el.offsetLeft,
+                scrollTop = el.offsetTop,
+                offsetParent = el;
+
+            while (offsetParent = offsetParent.offsetParent) {
+                left += offsetParent.offsetLeft;
+                top += offsetParent.offsetTop;
+                scrollLeft -= (offsetParent.scrollLeft);
+                scrollTop -= (offsetParent.scrollTop - offsetParent.offsetTop);
+            }
+
+            return {
+                left: left,
+                top: top,
+                offsetLeft: el.offsetLeft,
+                offsetTop: el.offsetTop,
+                windowLeft: scrollLeft,
+                windowTop: scrollTop,
+                width: el.offsetWidth,
+                height: el.offsetHeight
+            };
+        },
+        findClosestScrollableOffsetParent: function(el){
+            var offsetParent = el;
+
+            while (offsetParent = offsetParent.offsetParent) {
+                if (offsetParent.scrollHeight > offsetParent.offsetHeight) return offsetParent;
+            }
+
+            return undefined;
+        },
+        /**
+        Returns true if the given element is out of view. By default it will check if the element is fully out of view.
+        This checks the viewport once, see fossen.observeVisibility to be told when elements enter or leave the viewport or a scroll container.
+        @param {DOMElement} el The element to check.
+        @param {bool} [partially=false] If true will return true if the element is partially outside of the view.
+        @returns {bool} True if out of view, false if not.
+        */
+        isOutOfView: function (el, partially) {
+            var elOffset = pub.offset(el),
+                clientWidth = document.documentElement.clientWidth,
+                clientHeight = document.documentElement.clientHeight;
+
+            //First deal with the element being completely below or completely to the left of the viewport
+            if (elOffset.windowTop > clientHeight) return true;
+            if (elOffset.windowLeft > clientWidth) return true;
+
+            //Now deal with the element being completely to the right or completely above the viewport
+            if ((elOffset.windowTop + elOffset.height) < 0) return true;
+            if ((elOffset.windowLeft + elOffset.width) < 0) return true;
+
+            if (partially) { //Check if the element is partially out of view
+                if ((elOffset.windowTop + elOffset.height) > clientHeight || (elOffset.windowTop < 0)) return true; //partially below or above
+                if ((elOffset.windowLeft + elOffset.width) > clientWidth || (elOffset.windowLeft < 0)) return true; //partially to the left or right
+            }
+
+            return false;
+        },
+        /**
+        Reports when elements enter and leave the viewport or a scroll container. Uses IntersectionObserver where available and otherwise
+        checks the positions (with getBoundingClientRect, which includes the scroll of the window and every container) on scroll and resize, throttled.
+
+        The callback is given {target, type: 'enter'|'leave', isVisible, ratio} where ratio is the visible part of the element (0 to 1).
+        An element is visible when more than options.threshold of it is inside the root. The first check reports every visible element as 'enter'.
+
+        Supported options:
+        root: Element, the scroll container to check against. Default the viewport.
+        rootMargin: number (px) or string like IntersectionObserver ('200px 0px'), grows (or shrinks if negative) the root. Default 0.
+        threshold: number between 0 and 1, how much of the element must be visible. Default 0 (any part).
+        once: bool, stop observing an element after it has entered. Default false.
+        throttle: int, ms between checks in the fallback. Default 100.
+        fallback: bool, use the fallback even if IntersectionObserver is available. Default false.
+
+        E.g.:
+        var observer = fossen.observeVisibility('.ad-slot', function (entry) {
+            if (entry.type === 'enter') trackImpression(entry.target);
+        }, { threshold: 0.5 });
+        observer.disconnect();
+
+        @param {Element|Element[]|NodeList|string} elements The elements (or a selector for them) to observe.
+        @param {function(entry)} callback Called when an element enters or leaves.
+        @param {object} [options] The options described above.
+        @returns {object} The observer with observe(el), unobserve(el) and disconnect().
+        */
+        observeVisibility: function (elements, callback, options) {
+            var observed = new Map(),
+                margins, threshold, observer, check, root, handle;
+
+            options = options || {};
+            root = options.root || null;
+            threshold = options.threshold || 0;
+            margins = (typeof options.rootMargin === 'number' ? options.rootMargin + 'px' : options.rootMargin || '0px').split(/\s+/).map(function (margin) {
+                return parseFloat(margin) || 0;
+            });
+            //Expand the CSS shorthand to [top, right, bottom, left]
+            if (margins.length < 2) margins[1] = margins[0];
+            if (margins.length < 3) margins[2] = margins[0];
+            if (margins.length < 4) margins[3] = margins[1];
+
+            var report = function (target, ratio) {
+                var wasVisible = observed.get(target),
+                    isVisible = threshold ? ratio >= threshold : ratio > 0;
+
+                if (!observed.has(target) || wasVisible === isVisible) return;
+                observed.set(target, isVisible);
+                //The first check only reports visible elements
+                if (wasVisible === undefined && !isVisible) return;
+
+                if (isVisible && options.once) handle.unobserve(target);
+                callback({ target: target, type: isVisible ? 'enter' : 'leave', isVisible: isVisible, ratio: ratio });
+            };
+
+            //The visible ratio of an element inside the root (or viewport), both measured relative to the viewport
+            var getRatio = function (el) {
+                var rect = el.getBoundingClientRect(),
+                    frame, rootRect, visibleWidth, visibleHeight;
+
+                //Hidden elements (display: none or inside one) have no offsetParent unless they are fixed
+                if (!rect.width || !rect.height) return 0;
+                if (!el.offsetParent && window.getComputedStyle(el).position !== 'fixed') return 0;
+
+                if (root) {
+                    rootRect = root.getBoundingClientRect();
+                    frame = { top: rootRect.top + root.clientTop, left: rootRect.left + root.clientLeft };
+                    frame.bottom = frame.top + root.clientHeight;
+                    frame.right = frame.left + root.clientWidth;
+                } else {
+                    frame = { top: 0, left: 0, bottom: document.documentElement.clientHeight, right: document.documentElement.clientWidth };
+                }
+                frame.top -= margins[0];
+                frame.right += margins[1];
+                frame.bottom += margins[2];
+                frame.left -= margins[3];
+
+                visibleWidth = Math.min(rect.right, frame.right) - Math.max(rect.left, frame.left);
+                visibleHeight = Math.min(rect.bottom, frame.bottom) - Math.max(rect.top, frame.top);
+                if (visibleWidth < 0 || visibleHeight < 0) return 0;
+
+                return Math.min(1, (visibleWidth * visibleHeight) / (rect.width * rect.height));
+            };
+
+            if (window.IntersectionObserver && !options.fallback) {
+                observer = new window.IntersectionObserver(function (entries) {
+                    entries.forEach(function (entry) {
+                        report(entry.target, entry.isIntersecting ? entry.intersectionRatio : 0);
+                    });
+                }, {
+                    root: root,
+                    rootMargin: margins.join('px ') + 'px',
+                    threshold: threshold ? [0, threshold] : 0
+                });
+            } else {
+                check = pub.throttle(function () {
+                    observed.forEach(function (isVisible, el) {
+                        report(el, getRatio(el));
+                    });
+                }, options.throttle || 100, { leading: true });
+                document.addEventListener('scroll', check, true);
+                window.addEventListener('resize', check);
+            }
+
+            handle = {
+                /**
+                @param {Element} el An element to start observing.
+                */
+                observe: function (el) {
+                    if (observed.has(el)) return;
+                    observed.set(el, undefined);
+
+                    if (observer) {
+                        observer.observe(el);
+                    } else if (check) {
+                        //The first check is asynchronous like with IntersectionObserver
+                        setTimeout(check, 0);
+                    }
+                },
+                /**
+                @param {Element} el An element to stop observing.
+                */
+                unobserve: function (el) {
+                    observed.delete(el);
+                    if (observer) observer.unobserve(el);
+                },
+                /**
+                @param {Element} el An element.
+                @returns {bool} True if the element is observed.
+                */
+                observing: function (el) {
+                    return observed.has(el);
+                },
+                /**
+                Stops observing all elements.
+                */
+                disconnect: function () {
+                    observed.clear();
+                    if (observer) observer.disconnect();
+                    if (check) {
+                        check.cancel();
+                        document.removeEventListener('scroll', check, true);
+                        window.removeEventListener('resize', check);
+                        check = null;
+                    }
+                }
+            };
+
+            pub.toArray(typeof elements === 'string' ? document.querySelectorAll(elements) : elements && elements.nodeType ? [elements] : elements || [])
+                .forEach(function (el) {
+                    handle.observe(el);
+                });
+
+            return handle;
+        },
+        /**
+        Loads images, iframes and widgets when they are about to scroll into view (see fossen.observeVisibility).
+        - img and iframe elements with data-src (and data-srcset/data-sizes for images, also on the source elements of a picture) get src, srcset
+          and sizes set from them.
+        - Elements with data-widget="name" are given to the widget initializer registered with fossen.lazyLoad.registerWidget(name, init).
+          Widgets that come into view before their initializer is registered are initialized when it is. An initializer that throws is logged
+          (logger "fossen:lazyload") and its element gets data-widget-failed="name".
+        A "lazyloaded" event (see fossen.dispatchCustomEvent) is dispatched on each element after loading it or initializing its widget,
+        with data {widget: name} for widgets. Images and iframes also get the class "lazy-loaded" when their load event fires.
+
+        Supported options (also see fossen.observeVisibility):
+        container: Element, where to look for elements. Default document.
+        root: Element, the scroll container (default the viewport)
+        rootMargin: number|string, how far outside the root to start loading. Default 200 (px).
+        fallback: bool, see fossen.observeVisibility
+
+        E.g.:
+        fossen.lazyLoad.registerWidget('map', function (el) { return new MapWidget(el, JSON.parse(el.getAttribute('data-options'))); });
+        var loader = fossen.lazyLoad();
+        //After adding content
+        loader.refresh();
+
+        @param {object} [options] The options described above.
+        @returns {object} The loader with refresh() to look for new elements, load(el) to load an element now and disconnect().
+        */
+        lazyLoad: (function () {
+            var widgets = {},
+                waiting = [],
+                selector = 'img[data-src], img[data-srcset], picture source[data-srcset], iframe[data-src], [data-widget]';
+
+            var moveAttribute = function (el, from, to) {
+                if (!el.hasAttribute(from)) return;
+                el.setAttribute(to, el.getAttribute(from));
+                el.removeAttribute(from);
+            };
+
+            var load = function (el) {
+                var widgetName = el.getAttribute('data-widget'),
+                    picture = el.parentNode && el.parentNode.nodeName === 'PICTURE' ? el.parentNode : null;
+
+                if (widgetName) {
+                    if (!widgets.hasOwnProperty(widgetName)) {
+                        pub.logger('fossen:lazyload').warn('No widget registered as "' + widgetName + '"', el);
+                        return false;
+                    }
+                    el.removeAttribute('data-widget');
+                    try {
+                        widgets[widgetName](el);
+                    } catch (e) {
+                        el.setAttribute('data-widget-failed', widgetName);
+                        pub.logger('fossen:lazyload').error('The widget "' + widgetName + '" failed to initialize', e, el);
+                        return false;
+                    }
+                    el.setAttribute('data-widget-initialized', widgetName);
+                    pub.dispatchCustomEvent('lazyloaded', { widget: widgetName }, el);
+                    return true;
+                }
+
+                if (el.nodeName === 'SOURCE') el = picture && picture.querySelector('img') || el;
+                if (el.nodeName === 'IMG' && el.parentNode && el.parentNode.nodeName === 'PICTURE') {
+                    pub.toArray(el.parentNode.querySelectorAll('source')).forEach(function (source) {
+                        moveAttribute(source, 'data-srcset', 'srcset');
+                        moveAttribute(source, 'data-sizes', 'sizes');
+                    });
+                }
+
+                el.addEventListener('load', function onLoad() {
+                    el.removeEventListener('load', onLoad);
+                    el.classList.add('lazy-loaded');
+                });
+                moveAttribute(el, 'data-sizes', 'sizes');
+                moveAttribute(el, 'data-srcset', 'srcset');
+                moveAttribute(el, 'data-src', 'src');
+                pub.dispatchCustomEvent('lazyloaded', {}, el);
+
+                return true;
+            };
+
+            var lazyLoad = function (options) {
+                var observer, loader;
+
+                options = pub.assign({ rootMargin: 200 }, options || {});
+
+                observer = pub.observeVisibility([], function (entry) {
+                    if (entry.type === 'enter') loader.load(entry.target);
+                }, {
+                    root: options.root,
+                    rootMargin: options.rootMargin,
+                    fallback: options.fallback,
+                    throttle: options.throttle
+                });
+
+                loader = {
+                    /**
+                    Starts observing elements added since the loader was created or last refreshed.
+                    */
+                    refresh: function () {
+                        pub.toArray((options.container || document).querySelectorAll(selector)).forEach(function (el) {
+                            //A picture is loaded through its img
+                            if (el.nodeName === 'SOURCE') el = el.parentNode.querySelector('img');
+                            if (el) observer.observe(el);
+                        });
+                    },
+                    /**
+                    Loads an element now.
+                    @param {Element} el The element.
+                    @returns {bool} True if it was loaded.
+                    */
+                    load: function (el) {
+                        var loaded = load(el);
+
+                        //Widgets that are not registered yet stay observed and are loaded when registered
+                        if (el.hasAttribute('data-widget')) {
+                            if (!pub.find(waiting, function (item) { return item.el === el; })) waiting.push({ el: el, loader: loader });
+                            return false;
+                        }
+
+                        observer.unobserve(el);
+                        return loaded;
+                    },
+                    /**
+                    Stops loading elements.
+                    */
+                    disconnect: function () {
+                        observer.disconnect();
+                        waiting = waiting.filter(function (item) {
+                            return item.loader !== loader;
+                        });
+                    }
+                };
+
+                loader.refresh();
+
+                return loader;
+            };
+
+            /**
+            Registers a widget initializer for elements with data-widget="name".
+            @param {string} name The name of the widget.
+            @param {function(el)} init Initializes the widget in the element.
+            */
+            lazyLoad.registerWidget = function (name, init) {
+                widgets[name] = init;
+
+                //Load the elements that came into view before the widget was registered
+                waiting.filter(function (item) {
+                    return item.el.getAttribute('data-widget') === name;
+                }).forEach(function (item) {
+                    waiting.splice(waiting.indexOf(item), 1);
+                    item.loader.load(item.el);
+                });
+            };
+
+            return lazyLoad;
+        })(),
+        /**
+        Scrolls every scrollable ancestor of an element (on both axes) and finally the window so that the element is in view.
+
+        Supported options:
+        align: string, where the element is placed: 'start', 'center', 'end' or 'nearest' (the least scrolling, nothing if already in view). Default 'nearest'.
+        alignX, alignY: string, the alignment of one axis (default options.align)
+        axis: string, 'both' (default), 'x' or 'y'
+        padding: number|{top, right, bottom, left}, space to keep between the element and the edges of each scroll container. Default 0.
+        offset: number|{top, right, bottom, left}, areas of the window covered by sticky or fixed elements like headers. Numbers,
+                elements (their current height/width is used) or functions returning a number. E.g. { top: document.querySelector('.site-header') }
+        container: Element, the outermost container to scroll. Containers outside it and the window are not scrolled.
+        behavior: string, 'auto' (jump, default) or 'smooth' (animated with requestAnimationFrame, instant if the user prefers reduced motion)
+        duration: int, ms the animation takes. Default 300.
+        easing: function(t), maps the progress (0 to 1) of the animation. Default ease in-out.
+
+        E.g.:
+        fossen.scrollIntoView(row, { align: 'center', behavior: 'smooth', offset: { top: stickyHeader } }).then(function () {
+            row.focus();
+        });
+
+        @param {Element} el The element to scroll into view.
+        @param {object} [options] The options described above.
+        @returns {Promise} A promise that resolves when scrolling is done (or another scroll of the same containers takes over).
+        */
+        scrollIntoView: (function () {
+            var animations = new WeakMap();
+
+            var easeInOut = function (t) {
+                return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+            };
+
+            var toEdges = function (value) {
+                if (value === undefined || value === null || typeof value !== 'object' || value.nodeType) {
+                    return { top: value, right: value, bottom: value, left: value };
+                }
+                return value;
+            };
+
+            var edgeSize = function (value, horizontal) {
+                if (typeof value === 'function') value = value();
+                if (value && value.nodeType === 1) return horizontal ? value.offsetWidth : value.offsetHeight;
+                return value || 0;
+            };
+
+            var isScrollable = function (el) {
+                var style = window.getComputedStyle(el);
+                return (el.scrollHeight > el.clientHeight && /auto|scroll|overlay/.test(style.overflowY || style.overflow)) ||
+                    (el.scrollWidth > el.clientWidth && /auto|scroll|overlay/.test(style.overflowX || style.overflow));
+            };
+
+            //The distance to scroll to place [start, end] within [frameStart, frameEnd]
+            var getDelta = function (align, start, end, frameStart, frameEnd) {
+                switch (align) {
+                    case 'start': return start - frameStart;
+                    case 'end': return end - frameEnd;
+                    case 'center': return (start + end) / 2 - (frameStart + frameEnd) / 2;
+                }
+
+                if (start >= frameStart && end <= frameEnd) return 0;
+                //Show the start of elements larger than the frame
+                return start < frameStart || end - start > frameEnd - frameStart ? start - frameStart : end - frameEnd;
+            };
+
+            var getScroll = function (container) {
+                if (container === window) {
+                    return { top: window.pageYOffset, left: window.pageXOffset };
+                }
+                return { top: container.scrollTop, left: container.scrollLeft };
+            };
+
+            var setScroll = function (container, top, left) {
+                if (container === window) {
+                    window.scrollTo(left, top);
+                } else {
+                    container.scrollTop = top;
+                    container.scrollLeft = left;
+                }
+            };
+
+            var animate = function (actions, options) {
+                return new Promise(function (resolve) {
+                    var started = null,
+                        duration = options.duration !== undefined ? options.duration : 300,
+                        easing = options.easing || easeInOut,
+                        animation = { cancel: resolve };
+
+                    actions.forEach(function (action) {
+                        var running = animations.get(action.container);
+                        if (running) running.cancel();
+                        animations.set(action.container, animation);
+                        action.from = getScroll(action.container);
+                    });
+
+                    var step = function (time) {
+                        var progress, eased;
+
+                        if (animation.cancelled) return;
+                        if (started === null) started = time;
+                        progress = duration > 0 ? Math.min(1, (time - started) / duration) : 1;
+                        eased = easing(progress);
+
+                        actions.forEach(function (action) {
+                            setScroll(action.container,
+                                action.from.top + (action.top - action.from.top) * eased,
+                                action.from.left + (action.left - action.from.left) * eased);
+                        });
+
+                        if (progress < 1) {
+                            window.requestAnimationFrame(step);
+                            return;
+                        }
+                        actions.forEach(function (action) {
+                            if (animations.get(action.container) === animation) animations.delete(action.container);
+                        });
+                        resolve();
+                    };
+
+                    animation.cancel = function () {
+                        animation.cancelled = true;
+                        resolve();
+                    };
+
+                    window.requestAnimationFrame(step);
+                });
+            };
+
+            return function (el, options) {
+                var containers = [],
+                    actions = [],
+                    node = el.parentElement,
+                    rect, padding, offset, scrollingElement, reduceMotion;
+
+                options = options || {};
+                padding = toEdges(options.padding);
+                offset = toEdges(options.offset);
+                scrollingElement = document.scrollingElement || document.documentElement;
+
+                while (node && node !== document.body && node !== document.documentElement) {
+                    if (isScrollable(node)) containers.push(node);
+                    if (node === options.container) break;
+                    node = node.parentElement;
+                }
+                if (!options.container || options.container === window || options.container === scrollingElement || options.container === document.body) {
+                    containers.push(window);
+                }
+
+                rect = el.getBoundingClientRect();
+                //Where the element will be when the containers inside the current one have scrolled
+                rect = { top: rect.top, bottom: rect.bottom, left: rect.left, right: rect.right };
+
+                containers.forEach(function (container) {
+                    var frame, scroll, maxTop, maxLeft, top, left, bounds;
+
+                    if (container === window) {
+                        frame = {
+                            top: edgeSize(offset.top), left: edgeSize(offset.left, true),
+                            bottom: document.documentElement.clientHeight - edgeSize(offset.bottom),
+                            right: document.documentElement.clientWidth - edgeSize(offset.right, true)
+                        };
+                        maxTop = scrollingElement.scrollHeight - document.documentElement.clientHeight;
+                        maxLeft = scrollingElement.scrollWidth - document.documentElement.clientWidth;
+                    } else {
+                        bounds = container.getBoundingClientRect();
+                        frame = { top: bounds.top + container.clientTop, left: bounds.left + container.clientLeft };
+                        frame.bottom = frame.top + container.clientHeight;
+                        frame.right = frame.left + container.clientWidth;
+                        maxTop = container.scrollHeight - container.clientHeight;
+                        maxLeft = container.scrollWidth - container.clientWidth;
+                    }
+
+                    scroll = getScroll(container);
+                    top = scroll.top;
+                    left = scroll.left;
+
+                    if (options.axis !== 'x') {
+                        top = Math.max(0, Math.min(maxTop, scroll.top + getDelta(options.alignY || options.align,
+                            rect.top, rect.bottom, frame.top + edgeSize(padding.top), frame.bottom - edgeSize(padding.bottom))));
+                    }
+                    if (options.axis !== 'y') {
+                        left = Math.max(0, Math.min(maxLeft, scroll.left + getDelta(options.alignX || options.align,
+                            rect.left, rect.right, frame.left + edgeSize(padding.left, true), frame.right - edgeSize(padding.right, true))));
+                    }
+
+                    rect.top -= top - scroll.top;
+                    rect.bottom -= top - scroll.top;
+                    rect.left -= left - scroll.left;
+                    rect.right -= left - scroll.left;
+
+                    if (top !== scroll.top || left !== scroll.left) {
+                        actions.push({ container: container, top: top, left: left });
+                    }
+                });
+
+                reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+                if (options.behavior === 'smooth' && !reduceMotion && window.requestAnimationFrame && actions.length) {
+                    return animate(actions, options);
+                }
+
+                actions.forEach(function (action) {
+                    var running = animations.get(action.container);
+                    if (running) running.cancel();
+                    setScroll(action.container, action.top, action.left);
+                });
+
+                return Promise.resolve();
+            };
+        })(),
+        /**
+        Scrolls the y axis of the scroll element so that the element is completely within the viewport y axis.
+        Uses fossen.scrollIntoView, which also scrolls the x axis and supports alignment and animation.
+        @param {DOMElement} el The element that should be completly inside the viewport y axis.
+        @param {int} [padding=0] Any optional padding to apply when scrolling
+        @param {DOMElement} [scrollElement] The outermost element to scroll. If not specified every scrollable ancestor and the window are scrolled.
+        @returns {Promise} A promise that resolves when scrolling is done.
+        */
+        scrollY: function (el, padding, scrollElement) {
+            return pub.scrollIntoView(el, { axis: 'y', padding: padding, container: scrollElement });
+        },
+
+        /**
+        Ref: https://github.com/yanatan16/nanoajax (0.4)
+        This is a tiny ajax function that performs ajax requests of most types including CORS.
+
+        Supported options:        
+        url: string, required
+        headers: object of {header_name: header_value, ...}
+        body: string (sets content type to 'application/x-www-form-urlencoded' if not set in headers)
+        method: 'GET', 'POST', etc. Defaults to 'GET' or 'POST' based on body
+        cors: If your using cross-origin, you will need this true for IE8-9 (to use the XDomainRequest object, also see Compatibility)    
+        responseType: string, various compatability, see xhr docs for enum options
+        withCredentials: boolean, IE10+, CORS only
+        timeout: long, ms timeout, IE8+
+        onprogress: callback, IE10+
+        onuploadprogress: callback, IE10+, progress of sending the body (set on req.upload.onprogress)
+
+        The callback function is given three arguments:
+        statusCode: integer status or null
+        response:
+            if responseType set and supported by browser, this is an object of some type (see docs)
+            otherwise if request completed, this is the string text of the response
+            if request is aborted, this is "Abort"
+            if request times out, this is "Timeout"
+            if request errors before completing (probably a CORS issue), this is "Error"
+        request: the request object
+
+        Examples:
+        For GET requests where only the url parameter is required simply specify the url.
+        utils.ajax('http://api.com/', function(response){
+            if (statusCode === 200) {
+                alert('ok');
+            } else {
+                alert('error');
+            } 
+        });
+
+        utils.ajax({url: 'myUrl'}, function(response){
+            if (statusCode === 200) {
+                alert('ok');
+            } else {
+                alert('error');
+            } 
+        });
+
+        The request object is created by a swappable transport, see fossen.ajax.setTransport and fossen.ajax.fake (an in-memory fake server for tests).
+        Antiforgery tokens can be added to local requests automatically, see fossen.ajax.configureCsrf.
+        GET requests can be deduplicated and cached, see fossen.ajax.configureCache.
+        Every completed request emits "ajaxcomplete" on the fossen event bus with {method, url, status, response (only for status 0), duration}.
+
+        @param {object|string} options The options for the request or the url. See details above.
+        @param {function} callback The callback function that is executed once the request completes or fails.
+        */
+        ajax: (function(){
+            var global = window,
+                reqfields = ['responseType', 'withCredentials', 'timeout', 'onprogress'];
+            var getRequest = function (cors) {
+                // XDomainRequest is only way to do CORS in IE 8 and 9
+                // But XDomainRequest isn't standards-compatible
+                // Notably, it doesn't allow cookies to be sent or set by servers
+                // IE 10+ is standards-compatible in its XMLHttpRequest
+                // but IE 10 can still have an XDomainRequest object, so we don't want to use it
+                if (cors && global.XDomainRequest && !/MSIE 1/.test(navigator.userAgent))
+                    return new XDomainRequest;
+                if (global.XMLHttpRequest)
+                    return new XMLHttpRequest;
+            };
+            var transport = getRequest;
+            var setDefault = function (obj, key, value) {
+                obj[key] = obj[key] || value;
+            };
+
+            // Simple and small ajax function
+            // Takes a parameters object and a callback function
+            // Parameters:
+            //  - url: string, required
+            //  - headers: object of `{header_name: header_value, ...}`
+            //  - body:
+            //      + string (sets content type to 'application/x-www-form-urlencoded' if not set in headers)
+            //      + FormData (doesn't set content type so that browser will set as appropriate)
+            //  - method: 'GET', 'POST', etc. Defaults to 'GET' or 'POST' based on body
+            //  - cors: If your using cross-origin, you will need this true for IE8-9
+            //
+            // The following parameters are passed onto the xhr object.
+            // IMPORTANT NOTE: The caller is responsible for compatibility checking.
+            //  - responseType: string, various compatability, see xhr docs for enum options
+            //  - withCredentials: boolean, IE10+, CORS only
+            //  - timeout: long, ms timeout, IE8+
+            //  - onprogress: callback, IE10+
+            //  - onuploadprogress: callback, IE10+ (set on req.upload.onprogress)
+            //
+            // Callback function prototype:
+            //  - statusCode from request
+            //  - response
+            //    + if responseType set and supported by browser, this is an object of some type (see docs)
+            //    + otherwise if request completed, this is the string text of the response
+            //    + if request is aborted, this is "Abort"
+            //    + if request times out, this is "Timeout"
+            //    + if request errors before completing (probably a CORS issue), this is "Error"
+            //  - request object
+            //
+            // Returns the request object. So you can call .abort() or other methods
+            //
+            // DEPRECATIONS:
+            //  - Passing a string instead of the params object has been removed!
+            //
+            var send = function (params, callback) {
+                if (typeof params === 'string') {
+                    params = { url: params };
+                }
+
+                // Any variable used more than once is var'd here because
+                // minification will munge the variables whereas it can't munge
+                // the object access.
+                var headers = params.headers || {}
+                  , body = params.body
+                  , method = params.method || (body ? 'POST' : 'GET')
+                  , called = false;
+
+                var req = transport(params.cors);
+
+                function cb(statusCode, responseText) {
+                    return function () {
+                        if (!called)
+                            callback(req.status === undefined ? statusCode : req.status,
+                                     req.response || req.responseText || responseText,
+                                     req);
+                        called = true;
+                    }
+                }
+
+                req.open(method, params.url, true);
+
+                var success = req.onload = cb(200);
+                req.onreadystatechange = function () {
+                    // Failed, timed out and aborted requests also reach readyState 4 (with
+                    // status 0) before onerror/ontimeout/onabort, which report those.
+                    if (req.readyState === 4 && req.status !== 0) success();
+                }
+                req.onerror = cb(null, 'Error');
+                req.ontimeout = cb(null, 'Timeout');
+                req.onabort = cb(null, 'Abort');
+
+                if (body) {
+                    setDefault(headers, 'X-Requested-With', 'XMLHttpRequest');
+
+                    if (!global.FormData || !(body instanceof global.FormData)) {
+                        setDefault(headers, 'Content-Type', 'application/x-www-form-urlencoded');
+                    }
+                }
+
+                for (var i = 0, len = reqfields.length, field; i < len; i++) {
+                    field = reqfields[i];
+                    if (params[field] !== undefined)
+                        req[field] = params[field];
+                }
+
+                if (params.onuploadprogress && req.upload)
+                    req.upload.onprogress = params.onuploadprogress;
+
+                for (var field in headers)
+                    req.setRequestHeader(field, headers[field]);
+
+                req.send(body);
+
+                return req;
+            };
+
+            var csrf = null,
+                safeMethods = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+
+            var readCsrfToken = function () {
+                var i, source, element, cookie;
+
+                if (csrf.token) return csrf.token;
+
+                for (i = 0; i < csrf.sources.length; i++) {
+                    source = csrf.sources[i];
+                    if (source === 'meta') {
+                        element = document.querySelector('meta[name="' + csrf.metaName + '"]');
+                        if (element && element.getAttribute('content')) return element.getAttribute('content');
+                    } else if (source === 'input') {
+                        element = document.querySelector('input[name="' + csrf.inputName + '"]');
+                        if (element && element.value) return element.value;
+                    } else if (source === 'cookie' && csrf.cookieName) {
+                        cookie = pub.find(document.cookie.split(/;\s*/), function (pair) {
+                            return pair.split('=')[0] === csrf.cookieName;
+                        });
+                        if (cookie) return decodeURIComponent(cookie.substr(csrf.cookieName.length + 1));
+                    }
+                }
+
+                return undefined;
+            };
+
+            var refreshCsrfToken = function () {
+                if (typeof csrf.refresh === 'function') return Promise.resolve(csrf.refresh());
+
+                return new Promise(function (resolve, reject) {
+                    send({ url: csrf.refreshUrl, method: 'GET' }, function (statusCode, response) {
+                        var token = response;
+
+                        if (statusCode < 200 || statusCode >= 300) {
+                            reject(pub.newError('Could not refresh the antiforgery token', { status: statusCode }, false));
+                            return;
+                        }
+                        try {
+                            token = JSON.parse(response);
+                            token = token && typeof token === 'object' ? token.token : token;
+                        } catch (e) { }
+
+                        resolve(typeof token === 'string' ? token.trim() : token);
+                    });
+                });
+            };
+
+            var requiresCsrfToken = function (params) {
+                var method = (params.method || (params.body ? 'POST' : 'GET')).toUpperCase();
+                return safeMethods.indexOf(method) === -1 && pub.urlIsLocal(params.url);
+            };
+
+            var sendWithCsrfToken = function (params, callback, isRetry) {
+                var token = readCsrfToken(),
+                    tokenParams = params;
+
+                if (token) {
+                    tokenParams = pub.assign({}, params);
+                    tokenParams.headers = pub.assign({}, params.headers || {});
+                    tokenParams.headers[csrf.headerName] = token;
+                }
+
+                return send(tokenParams, function (statusCode, response, req) {
+                    var canRefresh = csrf.refresh || csrf.refreshUrl;
+
+                    if (isRetry || !canRefresh || csrf.expiredStatus === null || statusCode !== csrf.expiredStatus) {
+                        callback(statusCode, response, req);
+                        return;
+                    }
+
+                    refreshCsrfToken().then(function (newToken) {
+                        if (!newToken) throw new Error('The refreshed antiforgery token was empty');
+                        pub.ajax.setCsrfToken(newToken);
+                        sendWithCsrfToken(params, callback, true);
+                    }).then(null, function () {
+                        callback(statusCode, response, req);
+                    });
+                });
+            };
+
+            var cache = null;
+
+            //Request headers are part of the key so responses for different Accept or Authorization headers are kept apart
+            var cacheKey = function (params) {
+                var headers = params.headers || {};
+
+                return (params.responseType || '') + ' ' + pub.normalizeUrl(pub.resolveUrl(location.href, params.url)) +
+                    Object.keys(headers).map(function (name) {
+                        return '\n' + name.toLowerCase() + ': ' + headers[name];
+                    }).sort().join('');
+            };
+
+            var isCacheable = function (params) {
+                var method = (params.method || (params.body ? 'POST' : 'GET')).toUpperCase();
+                return method === 'GET' && !params.body && params.cache !== false;
+            };
+
+            var parseCacheControl = function (header) {
+                var directives = {};
+                (header || '').split(',').forEach(function (directive) {
+                    var parts = directive.trim().toLowerCase().split('=');
+                    if (parts[0]) directives[parts[0]] = parts.length > 1 ? parseInt(parts[1].replace(/"/g, ''), 10) : true;
+                });
+                return directives;
+            };
+
+            //Updates the freshness of an entry from the headers of a response, returns false if the response may not be stored
+            var applyCacheHeaders = function (entry, req) {
+                var getHeader = function (name) {
+                        return req.getResponseHeader ? req.getResponseHeader(name) : null;
+                    },
+                    directives = parseCacheControl(getHeader('Cache-Control')),
+                    now = Date.now(),
+                    expires = getHeader('Expires'),
+                    lifetime = cache.ttl;
+
+                //Responses that vary by something the key does not know (like cookies) may differ for the next request
+                if (directives['no-store'] || /(^|,)\s*(\*|cookie)\s*(,|$)/i.test(getHeader('Vary') || '')) return false;
+
+                if (directives['max-age'] !== undefined) {
+                    lifetime = directives['max-age'] * 1000;
+                } else if (expires) {
+                    lifetime = Math.max(0, (Date.parse(expires) || 0) - now);
+                }
+                if (directives['no-cache']) lifetime = 0;
+
+                entry.expires = now + lifetime;
+                entry.staleWhileRevalidate = directives['must-revalidate'] ? 0 :
+                    directives['stale-while-revalidate'] !== undefined ? directives['stale-while-revalidate'] * 1000 : cache.staleWhileRevalidate;
+                entry.etag = getHeader('ETag') || entry.etag;
+                entry.lastModified = getHeader('Last-Modified') || entry.lastModified;
+
+                return true;
+            };
+
+            var createCachedRequest = function (entry) {
+                return {
+                    readyState: 4,
+                    status: entry.status,
+                    response: entry.response,
+                    responseText: typeof entry.response === 'string' ? entry.response : '',
+                    fromCache: true,
+                    abort: function () { },
+                    getAllResponseHeaders: function () {
+                        return entry.headers;
+                    },
+                    getResponseHeader: function (name) {
+                        var line = pub.find(entry.headers.split(/\r?\n/), function (line) {
+                            return line.toLowerCase().indexOf(name.toLowerCase() + ':') === 0;
+                        });
+                        return line ? line.substr(name.length + 1).trim() : null;
+                    }
+                };
+            };
+
+            var respondFromCache = function (entry, callback) {
+                var req = createCachedRequest(entry);
+                setTimeout(function () {
+                    callback(entry.status, entry.response, req);
+                }, 0);
+                return req;
+            };
+
+            var storeResponse = function (key, entry) {
+                cache.entries.delete(key);
+                cache.entries.set(key, entry);
+                if (cache.entries.size > cache.maxEntries) {
+                    cache.entries.delete(cache.entries.keys().next().value);
+                }
+            };
+
+            //Gives a caller of a shared request its own request object stand-in, aborting only cancels the request once every caller has aborted
+            var createSharedRequest = function (inFlight, callback) {
+                var shared = {
+                    abort: function () {
+                        var index = inFlight.callbacks.indexOf(callback);
+
+                        if (index === -1) return;
+
+                        inFlight.callbacks.splice(index, 1);
+                        if (!inFlight.callbacks.length) inFlight.req.abort();
+                        callback(0, 'Abort', shared);
+                    },
+                    getAllResponseHeaders: function () {
+                        return inFlight.req.getAllResponseHeaders();
+                    },
+                    getResponseHeader: function (name) {
+                        return inFlight.req.getResponseHeader(name);
+                    }
+                };
+
+                ['readyState', 'status', 'response', 'responseText'].forEach(function (name) {
+                    Object.defineProperty(shared, name, {
+                        enumerable: true,
+                        get: function () {
+                            return inFlight.req[name];
+                        }
+                    });
+                });
+
+                return shared;
+            };
+
+            //Sends the request (conditionally if there is a cached entry) and shares it with identical requests already in flight
+            var fetchShared = function (params, key, callback) {
+                var entry = cache.entries.get(key),
+                    inFlight = cache.inFlight[key],
+                    inFlightRequests, conditionalParams;
+
+                //Each caller is wrapped so the same callback can be shared (and aborted) more than once
+                callback = (function (complete) {
+                    return function () {
+                        complete.apply(this, arguments);
+                    };
+                })(callback);
+
+                if (inFlight) {
+                    inFlight.callbacks.push(callback);
+                    return createSharedRequest(inFlight, callback);
+                }
+
+                conditionalParams = pub.assign({}, params);
+                conditionalParams.headers = pub.assign({}, params.headers || {});
+                if (entry && entry.etag) conditionalParams.headers['If-None-Match'] = entry.etag;
+                if (entry && entry.lastModified) conditionalParams.headers['If-Modified-Since'] = entry.lastModified;
+
+                //The cache may be disabled (and re-enabled) before the response arrives, so the in-flight requests are held here
+                inFlightRequests = cache.inFlight;
+                inFlight = inFlightRequests[key] = { callbacks: [callback], req: null };
+                inFlight.req = send(conditionalParams, function (statusCode, response, req) {
+                    var newEntry;
+
+                    if (inFlightRequests[key] === inFlight) delete inFlightRequests[key];
+
+                    if (statusCode === 304 && entry) {
+                        if (cache && applyCacheHeaders(entry, req)) {
+                            storeResponse(key, entry);
+                        } else if (cache) {
+                            cache.entries.delete(key);
+                        }
+                        req = createCachedRequest(entry);
+                        statusCode = entry.status;
+                        response = entry.response;
+                    } else if (statusCode === 200 || statusCode === 203) {
+                        newEntry = { status: statusCode, response: response, headers: req.getAllResponseHeaders ? req.getAllResponseHeaders() : '' };
+                        if (cache && applyCacheHeaders(newEntry, req) && (newEntry.expires + newEntry.staleWhileRevalidate > Date.now() || newEntry.etag || newEntry.lastModified)) {
+                            storeResponse(key, newEntry);
+                        } else if (cache) {
+                            cache.entries.delete(key);
+                        }
+                    }
+
+                    inFlight.callbacks.splice(0).forEach(function (inFlightCallback) {
+                        inFlightCallback(statusCode, response, req);
+                    });
+                });
+
+                return createSharedRequest(inFlight, callback);
+            };
+
+            var sendCached = function (params, callback) {
+                var key = cacheKey(params),
+                    entry = cache.entries.get(key),
+                    now = Date.now();
+
+                if (entry && params.cache !== 'reload') {
+                    if (now < entry.expires) {
+                        return respondFromCache(entry, callback);
+                    }
+                    if (now < entry.expires + entry.staleWhileRevalidate) {
+                        fetchShared(params, key, function () { });
+                        return respondFromCache(entry, callback);
+                    }
+                }
+
+                return fetchShared(params, key, callback);
+            };
+
+            var ajax = function (params, callback) {
+                var originalCallback, started = Date.now();
+
+                if (typeof params === 'string') {
+                    params = { url: params };
+                }
+
+                //Lets listeners (like fossen.errorReporter) see completed requests with fossen.on('ajaxcomplete', ...)
+                originalCallback = callback = (function (complete) {
+                    return function (statusCode, response) {
+                        pub.emit('ajaxcomplete', {
+                            method: (params.method || 'GET').toUpperCase(),
+                            url: params.url,
+                            status: statusCode,
+                            response: statusCode ? undefined : response,
+                            duration: Date.now() - started
+                        });
+                        if (typeof complete === 'function') complete.apply(this, arguments);
+                    };
+                })(callback);
+
+                if (cache) {
+                    if (isCacheable(params)) {
+                        return sendCached(params, callback);
+                    }
+                    if (cache.invalidateOnMutation) {
+                        callback = function (statusCode) {
+                            if (statusCode >= 200 && statusCode < 300 && cache) {
+                                ajax.invalidateCache(params.url.split(/[?#]/)[0]);
+                            }
+                            originalCallback.apply(this, arguments);
+                        };
+                    }
+                }
+
+                if (!csrf || !requiresCsrfToken(params)) {
+                    return send(params, callback);
+                }
+
+                return sendWithCsrfToken(params, callback, false);
+            };
+
+            /**
+            Enables the response cache for GET requests without a body:
+            - Identical requests in flight at the same time share one request. Aborting one of them only cancels the request once all of them are aborted.
+            - Requests with different headers are cached apart. Responses with Vary: * or Vary: Cookie are never kept.
+            - 200 responses are kept in memory for the freshness given by Cache-Control max-age (or Expires), or options.ttl if the server sends neither.
+              Responses with Cache-Control no-store are never kept and no-cache responses are always revalidated.
+            - Stale responses with an ETag or Last-Modified header are revalidated with If-None-Match/If-Modified-Since and a 304 answer serves the cached response.
+            - Within the stale-while-revalidate window (Cache-Control stale-while-revalidate or options.staleWhileRevalidate) a stale response is served
+              immediately while it is revalidated in the background, unless the server sent must-revalidate.
+            Cached responses are given to the callback asynchronously with a request object stand-in where fromCache is true.
+            Set cache: false on a request to bypass the cache or cache: 'reload' to skip the cached response but still store the new one.
+
+            Supported options:
+            ttl: int, ms responses without freshness headers are fresh. Default 0 (always revalidate)
+            staleWhileRevalidate: int, ms a stale response may be served while revalidating. Default 0
+            maxEntries: int, the maximum number of cached responses. Default 100
+            invalidateOnMutation: bool, successful non-GET requests invalidate cached responses with their url (without query) as prefix. Default false
+
+            @param {object|bool} options The options described above or false to disable and clear the cache.
+            */
+            ajax.configureCache = function (options) {
+                if (options === false) {
+                    cache = null;
+                    return;
+                }
+
+                options = options || {};
+                cache = {
+                    ttl: options.ttl || 0,
+                    staleWhileRevalidate: options.staleWhileRevalidate || 0,
+                    maxEntries: options.maxEntries || 100,
+                    invalidateOnMutation: !!options.invalidateOnMutation,
+                    entries: cache ? cache.entries : new Map(),
+                    inFlight: cache ? cache.inFlight : {}
+                };
+            };
+
+            /**
+            Removes cached responses whose url starts with the given url, e.g. after a mutation. Relative urls are resolved against the current location.
+            @param {string} [urlPrefix] The url prefix. Removes all cached responses if omitted.
+            @returns {int} The number of removed responses.
+            */
+            ajax.invalidateCache = function (urlPrefix) {
+                var removed = 0,
+                    prefix;
+
+                if (!cache) return 0;
+
+                prefix = urlPrefix === undefined ? '' : pub.normalizeUrl(pub.resolveUrl(location.href, urlPrefix));
+                cache.entries.forEach(function (entry, key) {
+                    if (key.substr(key.indexOf(' ') + 1).indexOf(prefix) === 0) {
+                        cache.entries.delete(key);
+                        removed++;
+                    }
+                });
+
+                return removed;
+            };
+
+            /**
+            Enables automatic antiforgery (CSRF) tokens. When enabled every request that is not GET, HEAD, OPTIONS or TRACE and whose url is local
+            (see fossen.urlIsLocal) gets the token in a header. Cross-origin requests never get the token.
+            The token is read from the first source in options.sources that has one each time a request is made, unless one was set with setCsrfToken.
+
+            If the server answers with options.expiredStatus and options.refreshUrl or options.refresh is set, a new token is fetched and the request is sent
+            once more with it. The callback is then given the result (and request object) of the second request.
+            refreshUrl should return the token as text or as JSON {token: '...'}.
+
+            Supported options:
+            headerName: string, default 'RequestVerificationToken'
+            sources: string[], where to look for the token in order, any of 'meta', 'input' and 'cookie'. Default ['meta', 'input', 'cookie']
+            metaName: string, the name of the meta tag holding the token. Default 'csrf-token'
+            inputName: string, the name of the hidden input holding the token. Default '__RequestVerificationToken'
+            cookieName: string, the name of the cookie holding the token. Default none
+            expiredStatus: int, the status the server answers with when the token is invalid or expired. Default none (no refresh)
+            refreshUrl: string, a url that returns a new token
+            refresh: function, returns a new token or a promise for one (used instead of refreshUrl)
+
+            E.g.:
+            fossen.ajax.configureCsrf({ expiredStatus: 400, refreshUrl: '/antiforgery/token' });
+
+            @param {object|bool} options The options described above or false to disable automatic tokens.
+            */
+            ajax.configureCsrf = function (options) {
+                if (options === false) {
+                    csrf = null;
+                    return;
+                }
+
+                options = options || {};
+                csrf = {
+                    headerName: options.headerName || 'RequestVerificationToken',
+                    sources: options.sources || ['meta', 'input', 'cookie'],
+                    metaName: options.metaName || 'csrf-token',
+                    inputName: options.inputName || '__RequestVerificationToken',
+                    cookieName: options.cookieName || null,
+                    expiredStatus: options.expiredStatus || null,
+                    refreshUrl: options.refreshUrl || null,
+                    refresh: options.refresh || null,
+                    token: null
+                };
+            };
+
+            /**
+            @returns {string} The current antiforgery token or undefined if there is none or automatic tokens are not enabled.
+            */
+            ajax.getCsrfToken = function () {
+                return csrf ? readCsrfToken() : undefined;
+            };
+
+            /**
+            Sets the antiforgery token used for all following requests, also updates the meta tag and hidden inputs holding the token.
+            @param {string} token The new token.
+            */
+            ajax.setCsrfToken = function (token) {
+                var meta;
+
+                if (!csrf) throw new Error('Automatic antiforgery tokens are not enabled, call fossen.ajax.configureCsrf first');
+
+                csrf.token = token;
+                meta = document.querySelector('meta[name="' + csrf.metaName + '"]');
+                if (meta) meta.setAttribute('content', token);
+                pub.toArray(document.querySelectorAll('input[name="' + csrf.inputName + '"]')).forEach(function (input) {
+                    input.value = token;
+                });
+            };
+
+            /**
+            Replaces the factory that creates request objects for all subsequent requests.
+            @param {function} [factory] A function given (cors) that returns an object implementing the XMLHttpRequest interface. Restores the default when omitted.
+            */
+            ajax.setTransport = function (factory) {
+                transport = factory || getRequest;
+            };
+
+            /**
+            Replaces the transport with an in-memory fake server so code using fossen.ajax (and everything built on it) can be tested without a browser or a server.
+            Only depends on setTimeout, so it runs under Node with jsdom.
+
+            E.g.:
+            var server = fossen.ajax.fake();
+            server.respondWith('GET', '/api/users/:id', function (request) {
+                return { status: 200, body: { id: request.params.id } };
+            });
+            server.respondWith('POST', /\/api\/slow/, { status: 201, delay: 500 });
+            server.respondWith('*', '/api/offline/*', { error: true });
+            ...
+            expect(server.requests[0].headers['Content-Type']).toBe('application/json');
+            server.restore();
+
+            Url patterns are either regular expressions or strings where :name matches a single path segment (available on request.params) and * matches anything.
+            String patterns without a ? ignore the query string of the request url.
+
+            A response is an object (or a function given the recorded request returning one) with:
+            status: int, defaults to 200
+            body: string or any value that is serialized as JSON (and sets Content-Type to application/json if not in headers)
+            headers: object of {header_name: header_value, ...}
+            delay: ms to wait before responding, defaults to options.delay
+            timeout: true to simulate a timeout
+            abort: true to simulate the request being aborted
+            error: true to simulate a network error
+
+            Recorded requests have method, url, headers, body, params, status, responseText and the fake request object as xhr.
+            Requests that match no route get options.defaultResponse (404 by default).
+
+            @param {object} [options] Optional {delay: int, autoRespond: bool (default true), defaultResponse: object}
+            @returns {object} The fake server.
+            */
+            ajax.fake = function (options) {
+                var previousTransport = transport,
+                    routes = [],
+                    pending = [],
+                    server;
+
+                options = options || {};
+
+                var compilePattern = function (pattern) {
+                    var names = [], source;
+                    if (Object.prototype.toString.call(pattern) === '[object RegExp]') return { regex: pattern, names: names, matchQuery: true };
+
+                    source = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                        .replace(/\*/g, '.*')
+                        .replace(/:([A-Za-z_$][\w$]*)/g, function (match, name) {
+                            names.push(name);
+                            return '([^/?#]+)';
+                        });
+
+                    return { regex: new RegExp('^' + source + '$'), names: names, matchQuery: pattern.indexOf('?') !== -1 };
+                };
+
+                var findRoute = function (request) {
+                    var i, route, match, url;
+                    for (i = routes.length - 1; i >= 0; i--) {
+                        route = routes[i];
+                        if (route.method !== '*' && route.method !== request.method) continue;
+                        url = route.pattern.matchQuery ? request.url : request.url.split(/[?#]/)[0];
+                        match = route.pattern.regex.exec(url);
+                        if (!match) continue;
+                        route.pattern.names.forEach(function (name, idx) {
+                            request.params[name] = decodeURIComponent(match[idx + 1]);
+                        });
+                        if (!route.pattern.names.length) request.params.match = match;
+                        return route;
+                    }
+                    return undefined;
+                };
+
+                var complete = function (xhr, request) {
+                    var route, response, body, headers, delay;
+
+                    if (xhr.readyState === 4) return;
+
+                    route = findRoute(request);
+                    response = route ? route.response : (options.defaultResponse || { status: 404, body: '' });
+                    response = (typeof response === 'function' ? response(request) : response) || {};
+                    delay = response.delay !== undefined ? response.delay : (options.delay || 0);
+
+                    setTimeout(function () {
+                        var size;
+
+                        if (xhr.readyState === 4) return;
+
+                        if (response.timeout || response.abort || response.error) {
+                            xhr._fail(response.timeout ? 'ontimeout' : response.abort ? 'onabort' : 'onerror');
+                            request.status = 0;
+                            return;
+                        }
+
+                        headers = pub.assign({}, response.headers || {});
+                        body = response.body === undefined ? '' : response.body;
+                        if (typeof body !== 'string') {
+                            body = JSON.stringify(body);
+                            if (!Object.keys(headers).some(function (key) { return key.toLowerCase() === 'content-type'; })) {
+                                headers['Content-Type'] = 'application/json';
+                            }
+                        }
+
+                        if (typeof xhr.upload.onprogress === 'function' && request.body) {
+                            size = request.body.size !== undefined ? request.body.size : String(request.body).length;
+                            xhr.upload.onprogress({ lengthComputable: true, loaded: size, total: size });
+                        }
+
+                        request.status = response.status || 200;
+                        request.responseText = body;
+                        xhr._load(request.status, headers, body);
+                    }, delay);
+                };
+
+                var FakeXMLHttpRequest = function (cors) {
+                    this.cors = !!cors;
+                    this.readyState = 0;
+                    this.status = 0;
+                    this.response = '';
+                    this.responseText = '';
+                    this.responseType = '';
+                    this.timeout = 0;
+                    this.withCredentials = false;
+                    this.upload = {};
+                    this._requestHeaders = {};
+                    this._responseHeaders = {};
+                };
+                FakeXMLHttpRequest.prototype = {
+                    open: function (method, url) {
+                        this.method = method.toUpperCase();
+                        this.url = url;
+                        this.readyState = 1;
+                    },
+                    setRequestHeader: function (name, value) {
+                        this._requestHeaders[name] = value;
+                    },
+                    getResponseHeader: function (name) {
+                        var headers = this._responseHeaders,
+                            key = pub.find(Object.keys(headers), function (key) { return key.toLowerCase() === name.toLowerCase(); });
+                        return key === undefined ? null : headers[key];
+                    },
+                    getAllResponseHeaders: function () {
+                        var headers = this._responseHeaders;
+                        return Object.keys(headers).map(function (key) { return key + ': ' + headers[key]; }).join('\r\n');
+                    },
+                    send: function (body) {
+                        var request = {
+                            method: this.method,
+                            url: this.url,
+                            headers: pub.assign({}, this._requestHeaders),
+                            body: body,
+                            params: {},
+                            status: undefined,
+                            responseText: undefined,
+                            xhr: this
+                        };
+
+                        server.requests.push(request);
+                        if (options.autoRespond === false) {
+                            pending.push(complete.bind(undefined, this, request));
+                        } else {
+                            complete(this, request);
+                        }
+                    },
+                    abort: function () {
+                        this._fail('onabort');
+                    },
+                    _fail: function (handlerName) {
+                        if (this.readyState === 4) return;
+                        this.readyState = 4;
+                        this.status = 0;
+                        if (typeof this.onreadystatechange === 'function') this.onreadystatechange();
+                        if (typeof this[handlerName] === 'function') this[handlerName]();
+                    },
+                    _load: function (status, headers, body) {
+                        var total = body.length;
+                        this.readyState = 4;
+                        this.status = status;
+                        this._responseHeaders = headers;
+                        this.responseText = body;
+                        this.response = this.responseType === 'json' ? JSON.parse(body || 'null') : body;
+                        if (typeof this.onprogress === 'function') this.onprogress({ lengthComputable: true, loaded: total, total: total });
+                        if (typeof this.onreadystatechange === 'function') this.onreadystatechange();
+                        if (typeof this.onload === 'function') this.onload();
+                    }
+                };
+
+                server = {
+                    requests: [],
+                    FakeXMLHttpRequest: FakeXMLHttpRequest,
+                    /**
+                    Registers a route. Routes registered later take precedence over earlier ones.
+                    @param {string} method The http method or '*' for any method.
+                    @param {string|RegExp} urlPattern The url pattern to match (see fossen.ajax.fake).
+                    @param {object|function} response The response or a function given the recorded request returning the response.
+                    @returns {object} The server for chaining.
+                    */
+                    respondWith: function (method, urlPattern, response) {
+                        routes.push({ method: method.toUpperCase(), pattern: compilePattern(urlPattern), response: response });
+                        return server;
+                    },
+                    /**
+                    Responds to all requests that are waiting when autoRespond is false.
+                    */
+                    respond: function () {
+                        pending.splice(0, pending.length).forEach(function (respond) {
+                            respond();
+                        });
+                    },
+                    /**
+                    @returns {object} The last recorded request or undefined if there are none.
+                    */
+                    lastRequest: function () {
+                        return server.requests[server.requests.length - 1];
+                    },
+                    /**
+                    Removes all routes, pending and recorded requests.
+                    */
+                    reset: function () {
+                        routes.length = 0;
+                        pending.length = 0;
+                        server.requests.length = 0;
+                    },
+                    /**
+                    Restores the transport that was in use before the fake server was installed.
+                    */
+                    restore: function () {
+                        transport = previousTransport;
+                    }
+                };
+
+                transport = function (cors) {
+                    return new FakeXMLHttpRequest(cors);
+                };
+
+                return server;
+            };
+
+            return ajax;
+        })(),
+        /**
+        A promise based JSON client built on top of fossen.ajax.
+        Request bodies that are plain objects or arrays are serialized as JSON and JSON responses are parsed before the promise resolves.
+
+        Responses resolve with:
+        {
+            status : {int} - The http status code
+            data : {*} - The parsed response body (or the raw response if it was not JSON)
+            headers : {object} - The response headers with lowercase header names as keys
+            config : {object} - The config the request was made with (after request interceptors)
+            request : {XMLHttpRequest} - The request object
+        }
+
+        Non-2xx statuses and requests that time out, are aborted or fail reject with a fossen.http.HttpError where error.type is one of
+        'status', 'timeout', 'abort', 'network' or 'parse'.
+
+        E.g.:
+        fossen.http.defaults.baseUrl = '/api';
+        fossen.http.interceptors.request.use(function (config) {
+            config.headers['X-Tenant'] = 'main';
+            return config;
+        });
+        fossen.http.post('users', { name: 'Ola' }).then(function (response) {
+            console.log(response.data.id);
+        });
+
+        Separate clients with their own defaults and interceptors are made with fossen.http.create({ baseUrl: ..., headers: {...} }).
+
+        Supported config (in addition to the options of fossen.ajax):
+        url: string, required. Relative urls are joined with baseUrl using fossen.concatUrls.
+        method: 'GET', 'POST', etc. Defaults to 'GET'.
+        data: The request body. Strings and FormData are sent as is, other values are sent as JSON.
+        headers: object of {header_name: header_value, ...}. Merged over defaults.headers.
+        baseUrl: string, overrides defaults.baseUrl.
+        */
+        http: (function () {
+            var sentinels = { Timeout: 'timeout', Abort: 'abort', Error: 'network' };
+
+            /**
+            The error type used to reject requests made with fossen.http.
+            @param {string} message The error message.
+            @param {string} type One of 'status', 'timeout', 'abort', 'network' or 'parse'.
+            @param {object} [response] The response object (see fossen.http) if the request completed.
+            @param {object} [config] The config used for the request.
+            */
+            var HttpError = function (message, type, response, config) {
+                var stackSource = new Error(message);
+
+                this.name = 'HttpError';
+                this.message = message;
+                this.type = type;
+                this.status = response ? response.status : null;
+                this.response = response;
+                this.config = config;
+                if (stackSource.stack) this.stack = stackSource.stack;
+            };
+            HttpError.prototype = Object.create(Error.prototype);
+            HttpError.prototype.constructor = HttpError;
+
+            var createInterceptorManager = function () {
+                var handlers = [];
+                return {
+                    handlers: handlers,
+                    /**
+                    Adds an interceptor.
+                    @param {function} [fulfilled] Given the config (request) or response (response) and returns it or a promise for it.
+                    @param {function} [rejected] Given the error of the previous step. Return a value to recover or throw to keep rejecting.
+                    @returns {int} An id that can be given to eject.
+                    */
+                    use: function (fulfilled, rejected) {
+                        handlers.push({ fulfilled: fulfilled, rejected: rejected });
+                        return handlers.length - 1;
+                    },
+                    eject: function (id) {
+                        handlers[id] = null;
+                    }
+                };
+            };
+
+            var isJsonBody = function (data) {
+                if (data === undefined || data === null || typeof data === 'string') return false;
+                if (window.FormData && data instanceof window.FormData) return false;
+                if (window.Blob && data instanceof window.Blob) return false;
+                if (window.ArrayBuffer && data instanceof window.ArrayBuffer) return false;
+                return true;
+            };
+
+            var hasHeader = function (headers, name) {
+                name = name.toLowerCase();
+                return Object.keys(headers).some(function (key) {
+                    return key.toLowerCase() === name;
+                });
+            };
+
+            /**
+            Parses the response headers of a request into an object with lower case names.
+            @param {XMLHttpRequest} req The request.
+            @returns {object} The headers.
+            */
+            var parseHeaders = function (req) {
+                var headers = {},
+                    raw = req && req.getAllResponseHeaders ? req.getAllResponseHeaders() : '';
+
+                (raw || '').split(/\r?\n/).forEach(function (line) {
+                    var colon = line.indexOf(':');
+                    if (colon <= 0) return;
+                    headers[line.substr(0, colon).trim().toLowerCase()] = line.substr(colon + 1).trim();
+                });
+
+                return headers;
+            };
+
+            /**
+            Turns the arguments of a fossen.ajax callback into a response object (see fossen.http), parsing JSON bodies.
+            @param {int} statusCode The status code.
+            @param {*} responseBody The response body.
+            @param {XMLHttpRequest} req The request.
+            @param {object} config The config (or ajax params) of the request, method and url are used in error messages.
+            @returns {object} The response.
+            @throws {HttpError} For timeouts, aborts, network errors, invalid JSON and statuses outside 200-299.
+            */
+            var toResponse = function (statusCode, responseBody, req, config) {
+                var response, contentType, sentinelType = sentinels[responseBody];
+
+                if (sentinelType && !statusCode) {
+                    throw new HttpError('Request ' + sentinelType + ': ' + config.method + ' ' + config.url, sentinelType, undefined, config);
+                }
+
+                response = {
+                    status: statusCode,
+                    data: responseBody,
+                    headers: parseHeaders(req),
+                    config: config,
+                    request: req
+                };
+
+                contentType = response.headers['content-type'] || '';
+                if (typeof responseBody === 'string' && contentType.indexOf('json') !== -1) {
+                    try {
+                        response.data = responseBody ? JSON.parse(responseBody) : null;
+                    } catch (e) {
+                        throw new HttpError('Invalid JSON in response: ' + config.method + ' ' + config.url, 'parse', response, config);
+                    }
+                }
+
+                if (statusCode < 200 || statusCode >= 300) {
+                    throw new HttpError('Request failed with status ' + statusCode + ': ' + config.method + ' ' + config.url, 'status', response, config);
+                }
+
+                return response;
+            };
+
+            var chain = function (promise, manager) {
+                manager.handlers.forEach(function (handler) {
+                    if (handler) promise = promise.then(handler.fulfilled, handler.rejected);
+                });
+                return promise;
+            };
+
+            var send = function (config) {
+                return new Promise(function (resolve, reject) {
+                    var ajaxParams = pub.assign({}, config, null, function (key) {
+                        return ['data', 'baseUrl', 'body'].indexOf(key) === -1;
+                    });
+
+                    ajaxParams.body = isJsonBody(config.data) ? JSON.stringify(config.data) : config.data;
+
+                    pub.ajax(ajaxParams, function (statusCode, responseBody, req) {
+                        try {
+                            resolve(toResponse(statusCode, responseBody, req, config));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    });
+                });
+            };
+
+            var createClient = function (defaults) {
+                var defaultHeaders = { 'Accept': 'application/json' };
+                Object.keys(defaults.headers || {}).forEach(function (key) {
+                    defaultHeaders[key] = defaults.headers[key];
+                });
+
+                var client = {
+                    HttpError: HttpError,
+                    parseHeaders: parseHeaders,
+                    toResponse: toResponse,
+                    defaults: {
+                        baseUrl: defaults.baseUrl || '',
+                        headers: defaultHeaders
+                    },
+                    interceptors: {
+                        request: createInterceptorManager(),
+                        response: createInterceptorManager()
+                    },
+                    /**
+                    Creates a new client with its own defaults and interceptors.
+                    @param {object} [defaults] Object with optional baseUrl and headers.
+                    @returns {object} A new client with the same api as fossen.http.
+                    */
+                    create: function (newDefaults) {
+                        return createClient(newDefaults || {});
+                    },
+                    /**
+                    Performs a request with the given config. See fossen.http for supported config.
+                    @param {object|string} config The request config or the url.
+                    @returns {Promise} A promise for the response.
+                    */
+                    request: function (config) {
+                        var promise;
+
+                        config = pub.assign({}, typeof config === 'string' ? { url: config } : config);
+                        config.method = (config.method || 'GET').toUpperCase();
+                        config.headers = pub.assign(pub.assign({}, client.defaults.headers), config.headers || {});
+
+                        promise = chain(Promise.resolve(config), client.interceptors.request).then(function (config) {
+                            var baseUrl = config.baseUrl !== undefined ? config.baseUrl : client.defaults.baseUrl;
+
+                            if (baseUrl && !pub.urlIsAbsolute(config.url, true)) {
+                                config.url = pub.concatUrls(baseUrl, config.url);
+                            }
+                            if (isJsonBody(config.data) && !hasHeader(config.headers, 'Content-Type')) {
+                                config.headers['Content-Type'] = 'application/json';
+                            }
+
+                            return send(config);
+                        });
+
+                        return chain(promise, client.interceptors.response);
+                    }
+                };
+
+                ['get', 'delete', 'head'].forEach(function (method) {
+                    client[method] = function (url, config) {
+                        return client.request(pub.assign(pub.assign({}, config || {}), { url: url, method: method }));
+                    };
+                });
+                ['post', 'put', 'patch'].forEach(function (method) {
+                    client[method] = function (url, data, config) {
+                        return client.request(pub.assign(pub.assign({}, config || {}), { url: url, method: method, data: data }));
+                    };
+                });
+
+                return client;
+            };
+
+            return createClient({});
+        })(),
+        /**
+        Builds a multipart FormData body from an object. Nested objects and arrays are named the way ASP.NET MVC model binding expects them
+        (items[0].name), Files and Blobs are appended as files, Dates as ISO strings and null as empty values. undefined values are skipped.
+        E.g.:
+        fossen.toFormData({ title: 'Scan', tags: ['a', 'b'], document: fileInput.files[0] })
+        @param {object} obj The object to convert.
+        @param {FormData} [formData] An existing FormData to append to.
+        @returns {FormData} The FormData.
+        */
+        toFormData: function (obj, formData) {
+            var add = function (name, value) {
+                if (value === undefined || typeof value === 'function') return;
+
+                if (window.Blob && value instanceof window.Blob) {
+                    if (value.name !== undefined) {
+                        formData.append(name, value, value.name);
+                    } else {
+                        formData.append(name, value);
+                    }
+                } else if (Object.prototype.toString.call(value) === '[object Date]') {
+                    formData.append(name, value.toISOString());
+                } else if (Array.isArray(value)) {
+                    value.forEach(function (item, idx) {
+                        add(name + '[' + idx + ']', item);
+                    });
+                } else if (value !== null && typeof value === 'object') {
+                    Object.keys(value).forEach(function (key) {
+                        add(name ? name + '.' + key : key, value[key]);
+                    });
+                } else {
+                    formData.append(name, value === null ? '' : String(value));
+                }
+            };
+
+            formData = formData || new FormData();
+            add('', obj);
+
+            return formData;
+        },
+        /**
+        Uploads a file (or Blob) with upload progress, pause, resume and cancel. Uploads are queued and at most fossen.upload.concurrency (default 2) run at once.
+
+        Without options.chunkSize the file is sent in a single multipart request built with fossen.toFormData (options.fieldName is the name of the file
+        and options.fields are added as well). Pausing aborts the request and resuming sends it again from the start.
+
+        With options.chunkSize the file is sent in chunks as raw bodies with a Content-Range header (bytes start-end/total) and a Content-Disposition header
+        with the file name. The server should answer each chunk with the number of bytes it has stored, either in an Upload-Offset header or as JSON
+        {offset: n}, otherwise the end of the chunk is assumed. Each chunk is retried with fossen.retry after network errors, timeouts and 5xx statuses.
+        If options.offsetUrl is set the server is asked for its offset (same header or JSON) before retrying a chunk and before resuming, so the upload
+        continues from what the server actually stored.
+
+        Supported options:
+        url: string, required
+        method: string, default 'POST'
+        headers: object of {header_name: header_value, ...}
+        withCredentials: bool
+        fieldName: string, default 'file' (single request only)
+        fields: object, extra form fields (single request only)
+        chunkSize: int, bytes per chunk. Default none (single request)
+        chunkRetry: object, options for fossen.retry used per chunk. Default { attempts: 3, delay: 500 }
+        offsetUrl: string, url answering with the number of bytes the server has stored
+        onProgress: function({loaded, total, percent}, upload), called when bytes have been sent
+
+        The returned upload object has:
+        promise: A promise for the response ({status, data, headers}) of the last request. Rejects with a fossen.http.HttpError or an error where cancelled is true.
+        state: 'queued', 'uploading', 'paused', 'done', 'failed' or 'cancelled'
+        loaded/total: Bytes sent and the file size
+        pause(), resume(), cancel(): Controls the upload.
+
+        E.g.:
+        var upload = fossen.upload(file, { url: '/api/documents/upload', chunkSize: 5 * 1024 * 1024, offsetUrl: '/api/documents/upload/' + id, onProgress: render });
+        upload.promise.then(function (response) { ... });
+
+        @param {File|Blob} file The file to upload.
+        @param {object} options The options described above.
+        @returns {object} The upload object.
+        */
+        upload: (function () {
+            var queue = [],
+                active = 0;
+
+            var pump = function () {
+                var next;
+                while (active < upload.concurrency && queue.length) {
+                    next = queue.shift();
+                    active++;
+                    next();
+                }
+            };
+
+            var send = function (params, onRequest) {
+                return new Promise(function (resolve, reject) {
+                    onRequest(pub.ajax(params, function (statusCode, responseBody, req) {
+                        try {
+                            resolve(pub.http.toResponse(statusCode, responseBody, req, params));
+                        } catch (e) {
+                            reject(e);
+                        }
+                    }));
+                });
+            };
+
+            var readOffset = function (response, fallback) {
+                var offset = response.headers['upload-offset'];
+                if (offset === undefined && response.data && typeof response.data === 'object') offset = response.data.offset;
+                offset = parseInt(offset, 10);
+                return offset === offset ? offset : fallback;
+            };
+
+            var isRetryable = function (error) {
+                return error.type === 'network' || error.type === 'timeout' || (error.type === 'status' && error.status >= 500);
+            };
+
+            var upload = function (file, options) {
+                var handle, resolvePromise, rejectPromise,
+                    currentRequest, run = 0, chunked;
+
+                if (!options || !options.url) throw new Error('An upload url is required');
+                chunked = !!options.chunkSize;
+
+                var setState = function (state) {
+                    handle.state = state;
+                };
+
+                var progress = function (loaded) {
+                    handle.loaded = Math.min(loaded, handle.total);
+                    if (typeof options.onProgress === 'function') {
+                        options.onProgress({
+                            loaded: handle.loaded,
+                            total: handle.total,
+                            percent: handle.total ? Math.round(handle.loaded / handle.total * 100) : 100
+                        }, handle);
+                    }
+                };
+
+                var baseParams = function () {
+                    return {
+                        url: options.url,
+                        method: (options.method || 'POST').toUpperCase(),
+                        headers: pub.assign({}, options.headers || {}),
+                        withCredentials: options.withCredentials
+                    };
+                };
+
+                var trackRequest = function (req) {
+                    currentRequest = req;
+                };
+
+                var fetchOffset = function () {
+                    if (!options.offsetUrl) return Promise.resolve(handle.loaded);
+                    return send({ url: options.offsetUrl, method: 'GET', withCredentials: options.withCredentials }, trackRequest).then(function (response) {
+                        return readOffset(response, handle.loaded);
+                    });
+                };
+
+                var uploadWhole = function () {
+                    var params = baseParams(),
+                        fields = pub.assign({}, options.fields || {});
+
+                    fields[options.fieldName || 'file'] = file;
+                    params.body = pub.toFormData(fields);
+                    params.onuploadprogress = function (evt) {
+                        progress(evt.loaded * handle.total / (evt.total || handle.total || 1));
+                    };
+                    progress(0);
+
+                    return send(params, trackRequest);
+                };
+
+                var uploadChunks = function (runId) {
+                    var sendChunk = function (attempt) {
+                        var offsetPromise = attempt > 1 ? fetchOffset() : Promise.resolve(handle.loaded);
+
+                        return offsetPromise.then(function (start) {
+                            var end = Math.min(start + options.chunkSize, handle.total),
+                                params = baseParams();
+
+                            if (runId !== run) throw new Error('Upload interrupted');
+
+                            params.body = file.slice(start, end);
+                            params.headers['Content-Type'] = 'application/octet-stream';
+                            //An empty file has no byte range to send
+                            params.headers['Content-Range'] = handle.total ? 'bytes ' + start + '-' + (end - 1) + '/' + handle.total : 'bytes */0';
+                            params.headers['Content-Disposition'] = 'attachment; filename="' + encodeURIComponent(file.name || 'blob') + '"';
+                            params.onuploadprogress = function (evt) {
+                                progress(start + evt.loaded);
+                            };
+
+                            return send(params, trackRequest).then(function (response) {
+                                progress(readOffset(response, end));
+                                return response;
+                            });
+                        });
+                    };
+
+                    var next = function (response) {
+                        var offset = handle.loaded;
+
+                        if (runId !== run) return response;
+                        if (handle.loaded >= handle.total && response) return response;
+
+                        return pub.retry(sendChunk, pub.assign(pub.assign({ attempts: 3, delay: 500 }, options.chunkRetry || {}), {
+                            shouldRetry: function (error) {
+                                return runId === run && isRetryable(error);
+                            }
+                        })).then(function (response) {
+                            //Stop instead of sending the same chunk forever if the server does not move its offset
+                            if (runId === run && handle.loaded <= offset && handle.loaded < handle.total) {
+                                throw new Error('The upload made no progress, the server kept the offset at ' + offset + ' bytes');
+                            }
+                            return next(response);
+                        }, function (error) {
+                            throw error.lastError || error;
+                        });
+                    };
+
+                    return (handle.loaded > 0 ? fetchOffset() : Promise.resolve(0)).then(function (offset) {
+                        progress(offset);
+                        return next();
+                    });
+                };
+
+                var start = function () {
+                    var runId = ++run;
+
+                    setState('uploading');
+                    (chunked ? uploadChunks(runId) : uploadWhole()).then(function (response) {
+                        if (runId !== run) return;
+                        active--;
+                        setState('done');
+                        progress(handle.total);
+                        resolvePromise(response);
+                        pump();
+                    }, function (error) {
+                        if (runId !== run) return;
+                        active--;
+                        setState('failed');
+                        rejectPromise(error);
+                        pump();
+                    });
+                };
+
+                //Stops the current run so its callbacks are ignored and frees its slot in the queue
+                var interrupt = function () {
+                    var wasActive = handle.state === 'uploading';
 
-                    if (!global.FormData || !(body instanceof global.FormData)) {
-                        setDefault(headers, 'Content-Type', 'application/x-www-form-urlencoded');
+                    run++;
+                    if (handle.state === 'queued') {
+                        queue.splice(queue.indexOf(start), 1);
                     }
-                }
-
-                for (var i = 0, len = reqfields.length, field; i < len; i++) {
-                    field = reqfields[i];
-                    if (params[field] !== undefined)
-                        req[field] = params[field];
-                }
+                    if (currentRequest && currentRequest.abort) currentRequest.abort();
+                    if (wasActive) {
+                        active--;
+                        pump();
+                    }
+                };
 
-                for (var field in headers)
-                    req.setRequestHeader(field, headers[field]);
+                handle = {
+                    file: file,
+                    state: 'queued',
+                    loaded: 0,
+                    total: file.size,
+                    promise: new Promise(function (resolve, reject) {
+                        resolvePromise = resolve;
+                        rejectPromise = reject;
+                    }),
+                    /**
+                    Pauses a queued or running upload. The current request is aborted.
+                    */
+                    pause: function () {
+                        if (handle.state !== 'uploading' && handle.state !== 'queued') return;
+                        interrupt();
+                        setState('paused');
+                    },
+                    /**
+                    Resumes a paused or failed upload by placing it in the queue again. Chunked uploads continue from the offset of the server.
+                    A failed upload gets a new promise.
+                    */
+                    resume: function () {
+                        if (handle.state !== 'paused' && handle.state !== 'failed') return;
+                        if (handle.state === 'failed') {
+                            handle.promise = new Promise(function (resolve, reject) {
+                                resolvePromise = resolve;
+                                rejectPromise = reject;
+                            });
+                        }
+                        setState('queued');
+                        queue.push(start);
+                        pump();
+                    },
+                    /**
+                    Cancels the upload. The promise rejects with an error where cancelled is true.
+                    */
+                    cancel: function () {
+                        var error;
+                        if (handle.state === 'done' || handle.state === 'cancelled') return;
+                        interrupt();
+                        setState('cancelled');
+                        error = new Error('The upload was cancelled');
+                        error.cancelled = true;
+                        rejectPromise(error);
+                    }
+                };
 
-                req.send(body);
+                queue.push(start);
+                pump();
 
-                return req;
+                return handle;
             };
+
+            upload.concurrency = 2;
+
+            return upload;
         })(),
 
         /**
-        Returns a new function that will call the inner function at most once every "throttleAmount" milliseconds
+        Returns a new function that will call the inner function at most once every "throttleAmount" milliseconds.
+        The inner function is called with "this" and arguments from the latest call to the throttled function.
+        By default calls happen on the trailing edge of each window, set options.leading to also call on the leading edge.
+        The returned function has the same cancel, flush and pending methods and promise option as a debounced function (see fossen.debounce).
         @param {function} func The function to throttle
         @param {int} throttleAmount The number of milliseconds to throttle the function
+        @param {object} [options] Optional {leading: bool (default false), trailing: bool (default true), promise: bool (default false)}
         @return {function} A new function calling the inner func at most every "throttleAmount" milliseconds
         */
-        throttle: function (func, throttleAmount) {
-            var timeout;
-            return function () {
-                if (!timeout) {
-                    var self = this,
-                        args = pub.toArray(arguments);
-                    
-                    timeout = setTimeout(function () {
-                        timeout = undefined;
-                        func.apply(self, args);
-                    }, throttleAmount);
-                }
-            };
+        throttle: function (func, throttleAmount, options) {
+            options = options || {};
+            return pub.debounce(func, throttleAmount, {
+                leading: !!options.leading,
+                trailing: options.trailing === false ? false : true,
+                maxWait: throttleAmount,
+                promise: options.promise
+            });
         },
         /**
         Returns a new function that will call the inner function once after the given duration.
         For each subsequent call to the function the timer is reset. The effecive result is that the function is called at most once during a given timespan even though
-        it may try to be called more often.
+        it may try to be called more often. The inner function is called with "this" and arguments from the latest call.
+
+        Supported options:
+        leading: bool, call the function on the leading edge of the timespan (default false)
+        trailing: bool, call the function on the trailing edge of the timespan (default true)
+        maxWait: int, the maximum number of milliseconds the function may be delayed before it is called
+        promise: bool, make every call return a promise for the result of the invocation that covers it (default false).
+            Pending promises reject with an error where cancelled is true if the debounced function is cancelled.
+
+        Without the promise option each call returns the result of the last invocation.
+
+        The returned function has the methods:
+        cancel() - Cancels any pending invocation.
+        flush() - Immediately invokes any pending invocation and returns its result.
+        pending() - Returns true if an invocation is pending.
+
+        E.g.:
+        var search = fossen.debounce(function (term) {
+            return fossen.http.get('/api/search?q=' + encodeURIComponent(term));
+        }, 300, { promise: true, maxWait: 1000 });
+        input.addEventListener('input', function () {
+            search(input.value).then(render);
+        });
+
         @param {function} func The function to debounce
         @param {int} duration The amount of time in milliseconds that must pass without a call to the function before it is called.
+        @param {object} [options] The options described above.
         @return {function} The debounce function wrapper.
         */
-        debounce: function (func, duration) {
-            var timeout;
-            return function () {
-                var onTimeout = function () {
-                    timeout = undefined;
-                    func.apply(this, pub.toArray(arguments));
-                };
-                if (timeout) {
+        debounce: function (func, duration, options) {
+            var leading, trailing, maxing, maxWait, usePromise,
+                lastArgs, lastThis, lastCallTime, lastInvokeTime = 0,
+                result, timeout, waiters = [];
+
+            options = options || {};
+            leading = !!options.leading;
+            trailing = options.trailing === false ? false : true;
+            maxing = options.maxWait !== undefined;
+            maxWait = maxing ? Math.max(options.maxWait || 0, duration) : 0;
+            usePromise = !!options.promise;
+
+            var settleWaiters = function (isError, value) {
+                var settling = waiters;
+                waiters = [];
+                settling.forEach(function (waiter) {
+                    if (isError) {
+                        waiter.reject(value);
+                    } else {
+                        waiter.resolve(value);
+                    }
+                });
+            };
+
+            var invoke = function (time) {
+                var args = lastArgs,
+                    thisArg = lastThis;
+
+                lastArgs = lastThis = undefined;
+                lastInvokeTime = time;
+
+                try {
+                    result = func.apply(thisArg, args);
+                } catch (e) {
+                    if (!usePromise) throw e;
+                    settleWaiters(true, e);
+                    return result;
+                }
+                settleWaiters(false, result);
+
+                return result;
+            };
+
+            var shouldInvoke = function (time) {
+                var sinceLastCall = time - lastCallTime;
+
+                return lastCallTime === undefined ||
+                    sinceLastCall >= duration ||
+                    sinceLastCall < 0 ||
+                    (maxing && time - lastInvokeTime >= maxWait);
+            };
+
+            var remainingWait = function (time) {
+                var waiting = duration - (time - lastCallTime);
+                return maxing ? Math.min(waiting, maxWait - (time - lastInvokeTime)) : waiting;
+            };
+
+            var trailingEdge = function (time) {
+                timeout = undefined;
+
+                if (trailing && lastArgs) {
+                    return invoke(time);
+                }
+                lastArgs = lastThis = undefined;
+                settleWaiters(false, result);
+
+                return result;
+            };
+
+            var timerExpired = function () {
+                var time = Date.now();
+                if (shouldInvoke(time)) {
+                    trailingEdge(time);
+                    return;
+                }
+                timeout = setTimeout(timerExpired, remainingWait(time));
+            };
+
+            var leadingEdge = function (time) {
+                lastInvokeTime = time;
+                timeout = setTimeout(timerExpired, duration);
+                return leading ? invoke(time) : result;
+            };
+
+            var call = function (thisArg, args) {
+                var time = Date.now(),
+                    isInvoking = shouldInvoke(time);
+
+                lastArgs = args;
+                lastThis = thisArg;
+                lastCallTime = time;
+
+                if (isInvoking) {
+                    if (timeout === undefined) {
+                        return leadingEdge(time);
+                    }
+                    if (maxing) {
+                        clearTimeout(timeout);
+                        timeout = setTimeout(timerExpired, duration);
+                        return invoke(time);
+                    }
+                }
+                if (timeout === undefined) {
+                    timeout = setTimeout(timerExpired, duration);
+                }
+
+                return result;
+            };
+
+            var debounced = function () {
+                var self = this,
+                    args = pub.toArray(arguments);
+
+                if (!usePromise) {
+                    return call(self, args);
+                }
+
+                return new Promise(function (resolve, reject) {
+                    waiters.push({ resolve: resolve, reject: reject });
+                    call(self, args);
+                });
+            };
+
+            debounced.cancel = function () {
+                var error;
+
+                if (timeout !== undefined) {
                     clearTimeout(timeout);
                 }
-                timeout = setTimeout(onTimeout, duration);
+                lastInvokeTime = 0;
+                lastArgs = lastCallTime = lastThis = timeout = undefined;
+
+                if (waiters.length) {
+                    error = new Error('The debounced call was cancelled');
+                    error.cancelled = true;
+                    settleWaiters(true, error);
+                }
+            };
+            debounced.flush = function () {
+                if (timeout === undefined) return result;
+                clearTimeout(timeout);
+                return trailingEdge(Date.now());
             };
+            debounced.pending = function () {
+                return timeout !== undefined;
+            };
+
+            return debounced;
         },
 
         /**
-        @returns {Date} Returns a new date object with the current time in utc.
+        A Date is always an instant in UTC, read it with the getUTC* methods or toISOString to get UTC values (see fossen.date for time zones).
+        @returns {Date} Returns a new date object with the current time.
         */
         getUTCNow: function () {
-            var now = new Date(),
-                utcNow = now.getTime() + (now.getTimezoneOffset()*60*1000);
-
-            return new Date(utcNow);
+            return new Date();
         },
+        /**
+        Date helpers for .NET JSON dates, ISO 8601, IANA time zones, calendar arithmetic and relative formatting.
+        Functions taking a date accept a Date, a timestamp (ms) or a string that date.parse understands. Functions working with calendar
+        days take an optional timeZone (IANA name like 'Europe/Oslo', default the browser's time zone) in which days and weeks are counted.
+
+        E.g.:
+        var created = fossen.date.parse('/Date(1455800000000+0100)/');
+        fossen.date.format(created, 'EEEE d. MMMM yyyy HH:mm', { locale: 'nb', timeZone: 'Europe/Oslo' }); // 'torsdag 18. februar 2016 13:53'
+        fossen.date.format(created, { dateStyle: 'medium' }, { locale: 'en' });
+        fossen.date.addBusinessDays(created, 3, { holidays: ['2016-02-22'] });
+        fossen.date.startOfWeek(created, { firstDay: 0 }); // Sunday
+        fossen.date.formatRelative(yesterday, { locale: 'nb' }); // 'i går'
+        */
+        date: (function () {
+            var dotNetPattern = /^\\?\/Date\((-?\d+)(?:[+-]\d{4})?\)\\?\/$/,
+                isoPattern = /^([+-]\d{6}|\d{4})(?:-(\d{2})(?:-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(Z|[+-]\d{2}(?::?\d{2})?)?)?)?)?$/i,
+                formatters = {},
+                tokenPattern = /'(?:[^']|'')*'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|m|ss|s|SSS|a|XXX|XX/g,
+                dayMs = 86400000;
+
+            var getFormatter = function (locale, options) {
+                var key = JSON.stringify([locale, options]);
+                if (!formatters.hasOwnProperty(key)) formatters[key] = new Intl.DateTimeFormat(locale, options);
+                return formatters[key];
+            };
+
+            var defaultLocale = function () {
+                return date.defaults.locale || document.documentElement.lang || navigator.language || 'en';
+            };
+
+            var toDate = function (value, options) {
+                var result = date.parse(value, options);
+                if (!result) throw new Error('Not a valid date: ' + value);
+                return result;
+            };
+
+            //The calendar parts of a date as seen in a time zone (local time if none is given)
+            var toParts = function (value, timeZone) {
+                var parts = {};
+
+                if (!timeZone) {
+                    return {
+                        year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate(), hour: value.getHours(),
+                        minute: value.getMinutes(), second: value.getSeconds(), millisecond: value.getMilliseconds(), weekday: value.getDay()
+                    };
+                }
+
+                getFormatter('en-US', {
+                    timeZone: timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+                    hour: 'numeric', minute: 'numeric', second: 'numeric', era: 'short'
+                }).formatToParts(value).forEach(function (part) {
+                    if (part.type !== 'literal') parts[part.type] = part.type === 'era' ? part.value : parseInt(part.value, 10);
+                });
+
+                if (/^B/.test(parts.era)) parts.year = 1 - parts.year;
+                return {
+                    year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute, second: parts.second,
+                    millisecond: value.getUTCMilliseconds(), weekday: new Date(utc(parts)).getUTCDay()
+                };
+            };
+
+            //Days or months outside their range carry over into the year, e.g. December 32 is January 1 of the next year
+            var utc = function (parts) {
+                var result = new Date(Date.UTC(2000, 0, 1, parts.hour || 0, parts.minute || 0, parts.second || 0, parts.millisecond || 0));
+                result.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+                return result.getTime();
+            };
+
+            //The date for calendar parts in a time zone. Times skipped by daylight saving are moved forward.
+            var fromParts = function (parts, timeZone) {
+                var local, guess, offset;
+
+                if (!timeZone) {
+                    local = new Date(2000, 0, 1);
+                    local.setFullYear(parts.year, parts.month - 1, parts.day);
+                    local.setHours(parts.hour || 0, parts.minute || 0, parts.second || 0, parts.millisecond || 0);
+                    return local;
+                }
+
+                local = utc(parts);
+                offset = date.getTimeZoneOffset(local, timeZone);
+                guess = local - offset * 60000;
+                if (date.getTimeZoneOffset(guess, timeZone) !== offset) {
+                    guess = local - date.getTimeZoneOffset(guess, timeZone) * 60000;
+                }
+
+                return new Date(guess);
+            };
+
+            var pad = function (value, length) {
+                var str = String(Math.abs(value));
+                while (str.length < length) str = '0' + str;
+                return (value < 0 ? '-' : '') + str;
+            };
+
+            var formatOffset = function (minutes, separator) {
+                return (minutes < 0 ? '-' : '+') + pad(Math.floor(Math.abs(minutes) / 60), 2) + separator + pad(Math.abs(minutes) % 60, 2);
+            };
+
+            var isHoliday = function (parts, holidays) {
+                var key = parts.year + '-' + pad(parts.month, 2) + '-' + pad(parts.day, 2);
+
+                return (holidays || []).some(function (holiday) {
+                    if (typeof holiday === 'string') return holiday.substr(0, 10) === key;
+                    holiday = toParts(new Date(holiday));
+                    return holiday.year === parts.year && holiday.month === parts.month && holiday.day === parts.day;
+                });
+            };
+
+            var date = {
+                /**
+                Default options. locale is used when no locale is given (default the lang attribute of the html element or the browser language),
+                firstDayOfWeek is the first day of the week (0 is Sunday, default 1, Monday) and weekend the days that are not business days.
+                */
+                defaults: {
+                    locale: null,
+                    firstDayOfWeek: 1,
+                    weekend: [0, 6]
+                },
+                /**
+                Parses a .NET JSON date ("/Date(1455800000000+0100)/", the offset only tells the server's time zone and is ignored as the
+                number is UTC) or an ISO 8601 date ("2016-02-18", "2016-02-18T13:53:20", "2016-02-18T13:53:20.123+01:00"). ISO dates without
+                an offset (like Json.Net's DateTimeKind.Unspecified dates) are read as local time or as wall time in options.timeZone.
+                @param {Date|number|string} value The value to parse. Dates are copied and numbers are timestamps.
+                @param {object} [options] Optional {timeZone: string}.
+                @returns {Date} The date or null if the value is not a valid date.
+                */
+                parse: function (value, options) {
+                    var match, result;
+
+                    if (value === null || value === undefined || value === '') return null;
+                    if (Object.prototype.toString.call(value) === '[object Date]' || typeof value === 'number') {
+                        result = new Date(typeof value === 'number' ? value : value.getTime());
+                        return isNaN(result.getTime()) ? null : result;
+                    }
+
+                    value = String(value).trim();
+                    if ((match = dotNetPattern.exec(value))) return new Date(parseInt(match[1], 10));
+                    if (!(match = isoPattern.exec(value))) return null;
+
+                    var parts = {
+                        year: parseInt(match[1], 10),
+                        month: match[2] ? parseInt(match[2], 10) : 1,
+                        day: match[3] ? parseInt(match[3], 10) : 1,
+                        hour: match[4] ? parseInt(match[4], 10) : 0,
+                        minute: match[5] ? parseInt(match[5], 10) : 0,
+                        second: match[6] ? parseInt(match[6], 10) : 0,
+                        millisecond: match[7] ? Math.floor(parseFloat('0.' + match[7]) * 1000) : 0
+                    }, offset;
+
+                    if (parts.month > 12 || parts.day > 31 || parts.hour > 24 || parts.minute > 59 || parts.second > 60) return null;
+
+                    if (match[8]) {
+                        offset = match[8].toUpperCase() === 'Z' ? 0 :
+                            (match[8].charAt(0) === '-' ? -1 : 1) * (parseInt(match[8].substr(1, 2), 10) * 60 + parseInt(match[8].replace(':', '').substr(3, 2) || '0', 10));
+                        return new Date(utc(parts) - offset * 60000);
+                    }
+
+                    return fromParts(parts, options && options.timeZone);
+                },
+                /**
+                A reviver for JSON.parse that turns .NET JSON dates and ISO 8601 date times (strings with a time) into Dates.
+                E.g.: JSON.parse(text, fossen.date.reviver)
+                */
+                reviver: function (key, value) {
+                    if (typeof value !== 'string' || !(dotNetPattern.test(value) || /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value))) return value;
+                    return date.parse(value) || value;
+                },
+                /**
+                @param {Date|number|string} value The date.
+                @returns {string} The date in the .NET JSON format, e.g. "/Date(1455800000000)/".
+                */
+                toDotNet: function (value) {
+                    return '/Date(' + toDate(value).getTime() + ')/';
+                },
+                /**
+                @param {Date|number|string} value The date (instant) to get the offset at.
+                @param {string} [timeZone] The IANA time zone, default the browser's.
+                @returns {int} The minutes the time zone is ahead of UTC at the date, e.g. 60 for Europe/Oslo in winter.
+                */
+                getTimeZoneOffset: function (value, timeZone) {
+                    var instant = toDate(value), parts;
+
+                    if (!timeZone) return -instant.getTimezoneOffset();
+                    parts = toParts(instant, timeZone);
+                    parts.millisecond = 0;
+
+                    return Math.round((utc(parts) - (instant.getTime() - instant.getUTCMilliseconds())) / 60000);
+                },
+                /**
+                Formats a date with a pattern or Intl.DateTimeFormat options.
+                Pattern tokens: yyyy, yy, MMMM (January), MMM (Jan), MM, M, dd, d, EEEE (Monday), EEE (Mon), HH, H, hh, h (12 hour), mm, m, ss, s,
+                SSS (ms), a (AM/PM), XXX (+01:00) and XX (+0100). Text in single quotes is written as is ('' is a quote).
+                @param {Date|number|string} value The date.
+                @param {string|object} [pattern] The pattern or Intl.DateTimeFormat options (default { dateStyle: 'short', timeStyle: 'short' }).
+                @param {object} [options] Optional {locale: string, timeZone: string}.
+                @returns {string} The formatted date.
+                */
+                format: function (value, pattern, options) {
+                    var instant = toDate(value, options), locale, timeZone, parts, intlOptions;
+
+                    options = options || {};
+                    locale = options.locale || defaultLocale();
+                    timeZone = options.timeZone;
+
+                    if (!pattern || typeof pattern === 'object') {
+                        intlOptions = pub.assign({}, pattern || { dateStyle: 'short', timeStyle: 'short' });
+                        if (timeZone) intlOptions.timeZone = timeZone;
+                        return getFormatter(locale, intlOptions).format(instant);
+                    }
+
+                    parts = toParts(instant, timeZone);
+
+                    var name = function (intlOptions, utcDate) {
+                        return getFormatter(locale, pub.assign({ timeZone: 'UTC' }, intlOptions)).format(utcDate);
+                    };
+
+                    return pattern.replace(tokenPattern, function (token) {
+                        switch (token) {
+                            case 'yyyy': return pad(parts.year, 4);
+                            case 'yy': return pad(parts.year % 100, 2);
+                            case 'MMMM': return name({ month: 'long' }, Date.UTC(2000, parts.month - 1, 15));
+                            case 'MMM': return name({ month: 'short' }, Date.UTC(2000, parts.month - 1, 15));
+                            case 'MM': return pad(parts.month, 2);
+                            case 'M': return String(parts.month);
+                            case 'dd': return pad(parts.day, 2);
+                            case 'd': return String(parts.day);
+                            //2000-01-02 was a Sunday
+                            case 'EEEE': return name({ weekday: 'long' }, Date.UTC(2000, 0, 2 + parts.weekday));
+                            case 'EEE': return name({ weekday: 'short' }, Date.UTC(2000, 0, 2 + parts.weekday));
+                            case 'HH': return pad(parts.hour, 2);
+                            case 'H': return String(parts.hour);
+                            case 'hh': return pad(parts.hour % 12 || 12, 2);
+                            case 'h': return String(parts.hour % 12 || 12);
+                            case 'mm': return pad(parts.minute, 2);
+                            case 'm': return String(parts.minute);
+                            case 'ss': return pad(parts.second, 2);
+                            case 's': return String(parts.second);
+                            case 'SSS': return pad(parts.millisecond, 3);
+                            case 'a':
+                                return (pub.find(getFormatter(locale, { hour: 'numeric', hour12: true, timeZone: 'UTC' })
+                                    .formatToParts(Date.UTC(2000, 0, 1, parts.hour)), function (part) {
+                                        return part.type === 'dayPeriod';
+                                    }) || { value: parts.hour < 12 ? 'AM' : 'PM' }).value;
+                            case 'XXX': return formatOffset(date.getTimeZoneOffset(instant, timeZone), ':');
+                            case 'XX': return formatOffset(date.getTimeZoneOffset(instant, timeZone), '');
+                            default: return token.slice(1, -1).replace(/''/g, "'");
+                        }
+                    });
+                },
+                /**
+                Adds calendar days keeping the time of day (also across daylight saving changes).
+                @param {Date|number|string} value The date.
+                @param {int} days The number of days to add (negative to subtract).
+                @param {object} [options] Optional {timeZone: string}.
+                @returns {Date} A new date.
+                */
+                addDays: function (value, days, options) {
+                    var timeZone = options && options.timeZone,
+                        parts = toParts(toDate(value, options), timeZone);
+
+                    parts.day += days;
+                    return fromParts(toParts(new Date(utc(parts)), 'UTC'), timeZone);
+                },
+                /**
+                @param {Date|number|string} value The date.
+                @param {object} [options] Optional {timeZone: string, weekend: int[] (default fossen.date.defaults.weekend), holidays: (Date|string)[]}.
+                Holidays are dates or 'yyyy-MM-dd' strings.
+                @returns {bool} True if the date is not in the weekend and not a holiday.
+                */
+                isBusinessDay: function (value, options) {
+                    var parts;
+
+                    options = options || {};
+                    parts = toParts(toDate(value, options), options.timeZone);
+
+                    return (options.weekend || date.defaults.weekend).indexOf(parts.weekday) === -1 && !isHoliday(parts, options.holidays);
+                },
+                /**
+                Adds business days (skipping weekends and holidays) keeping the time of day. Starting on a non business day, the first
+                business day after it counts as the first day.
+                @param {Date|number|string} value The date.
+                @param {int} days The number of business days to add (negative to subtract).
+                Throws if the weekend covers every day of the week or there is no business day within a year.
+                @param {object} [options] The same options as isBusinessDay.
+                @returns {Date} A new date.
+                */
+                addBusinessDays: function (value, days, options) {
+                    var result = toDate(value, options),
+                        step = days < 0 ? -1 : 1,
+                        remaining = Math.abs(days),
+                        weekend = (options && options.weekend) || date.defaults.weekend,
+                        skipped = 0;
+
+                    if ([0, 1, 2, 3, 4, 5, 6].every(function (weekday) { return weekend.indexOf(weekday) !== -1; })) {
+                        throw new Error('The weekend covers every day of the week, there are no business days');
+                    }
+
+                    while (remaining > 0) {
+                        result = date.addDays(result, step, options);
+                        if (date.isBusinessDay(result, options)) {
+                            remaining--;
+                            skipped = 0;
+                        } else if (++skipped > 366) {
+                            throw new Error('No business day was found within a year of ' + result.toISOString());
+                        }
+                    }
+
+                    return result;
+                },
+                /**
+                @param {Date|number|string} value The date.
+                @param {object} [options] Optional {timeZone: string}.
+                @returns {Date} The first millisecond of the day.
+                */
+                startOfDay: function (value, options) {
+                    var timeZone = options && options.timeZone,
+                        parts = toParts(toDate(value, options), timeZone);
+
+                    parts.hour = parts.minute = parts.second = parts.millisecond = 0;
+                    return fromParts(parts, timeZone);
+                },
+                /**
+                @param {Date|number|string} value The date.
+                @param {object} [options] Optional {timeZone: string}.
+                @returns {Date} The last millisecond of the day.
+                */
+                endOfDay: function (value, options) {
+                    return new Date(date.startOfDay(date.addDays(date.startOfDay(value, options), 1, options), options).getTime() - 1);
+                },
+                /**
+                @param {Date|number|string} value The date.
+                @param {object} [options] Optional {timeZone: string, firstDay: int (0 is Sunday, default fossen.date.defaults.firstDayOfWeek)}.
+                @returns {Date} The first millisecond of the week.
+                */
+                startOfWeek: function (value, options) {
+                    var start = date.startOfDay(value, options),
+                        firstDay = options && options.firstDay !== undefined ? options.firstDay : date.defaults.firstDayOfWeek,
+                        weekday = toParts(start, options && options.timeZone).weekday;
+
+                    return date.startOfDay(date.addDays(start, -((weekday - firstDay + 7) % 7), options), options);
+                },
+                /**
+                @param {Date|number|string} value The date.
+                @param {object} [options] The same options as startOfWeek.
+                @returns {Date} The last millisecond of the week.
+                */
+                endOfWeek: function (value, options) {
+                    return new Date(date.startOfWeek(date.addDays(date.startOfWeek(value, options), 7, options), options).getTime() - 1);
+                },
+                /**
+                Formats a date relative to now, e.g. "3 minutes ago", "in 2 hours", "yesterday" or in Norwegian "for 3 minutter siden", "om 2 timer", "i går".
+                Less than 45 seconds is "now", then minutes and hours up to 22 hours. Longer differences count calendar days, weeks, months and years.
+                @param {Date|number|string} value The date.
+                @param {object} [options] Optional {locale: string, now: Date (default now), timeZone: string (for counting days), numeric: 'auto' (default) or 'always'}.
+                @returns {string} The relative date.
+                */
+                formatRelative: function (value, options) {
+                    var instant, now, seconds, days, months, formatter, valueParts, nowParts;
+
+                    options = options || {};
+                    instant = toDate(value, options);
+                    now = options.now ? toDate(options.now) : new Date();
+                    formatter = new Intl.RelativeTimeFormat(options.locale || defaultLocale(), { numeric: options.numeric || 'auto' });
+                    seconds = (instant.getTime() - now.getTime()) / 1000;
+
+                    if (Math.abs(seconds) < 45) return formatter.format(0, 'second');
+                    if (Math.abs(seconds) < 45 * 60) return formatter.format(Math.round(seconds / 60) || Math.sign(seconds), 'minute');
+                    if (Math.abs(seconds) < 22 * 3600) return formatter.format(Math.round(seconds / 3600) || Math.sign(seconds), 'hour');
+
+                    valueParts = toParts(instant, options.timeZone);
+                    nowParts = toParts(now, options.timeZone);
+                    days = Math.round((Date.UTC(valueParts.year, valueParts.month - 1, valueParts.day) - Date.UTC(nowParts.year, nowParts.month - 1, nowParts.day)) / dayMs);
+                    if (Math.abs(days) < 7) return formatter.format(days, 'day');
+                    if (Math.abs(days) < 28) return formatter.format(Math.round(days / 7), 'week');
+
+                    months = (valueParts.year - nowParts.year) * 12 + valueParts.month - nowParts.month;
+                    if (Math.abs(months) < 12) return formatter.format(months || Math.sign(days), 'month');
+
+                    return formatter.format(Math.round(months / 12), 'year');
+                }
+            };
+
+            return date;
+        })(),
 
         /**
         Dispatch a custom event on the source element with the provided data.
         Events are dispatched on the given element and bubble up the DOM tree like any other event.
-        To listen for events use addEventListener as you would with any other type of event.
+        To listen for events use addEventListener as you would with any other type of event, or fossen.on.
 
         Note: This is not the standards compliant way to dispatch events (example on MDN), but because IE we have to do it this way.
 
@@ -862,6 +6325,7 @@
         @params {Element} [sourceElement=document] The source element on which do dispatch the event.
         @params {bool} [bubbles=true] Whether or not the event will bubble.
         @params {bool} [cancelable=true] Whether or not the event can be cancelled.
+        @returns {Event} The dispatched event (check defaultPrevented to see if a listener cancelled it).
         */
         dispatchCustomEvent: function (name, data, sourceElement, bubbles, cancelable) {
             var evt = document.createEvent('Event');
@@ -877,6 +6341,350 @@
             }
             
             sourceElement.dispatchEvent(evt);
+
+            return evt;
+        },
+
+        /**
+        The event bus behind fossen.on, fossen.off, fossen.once, fossen.emit and fossen.waitForEvent.
+        Listeners are registered either on a DOM event target (when the first argument is one) or, without a target, on an in-memory pub/sub bus
+        for decoupling modules that does not touch the DOM. fossen.eventBus.create() returns a separate in-memory bus with the same methods.
+
+        Event names may carry namespaces after a period ("save.editor" or "save.editor.autosave"). Several events can be given separated by spaces.
+        When removing listeners the event type may be left out or be "*" to match all types (".editor" or "*.editor" removes everything in the namespace).
+        Emitting a namespaced event only calls the listeners registered with that namespace, emitting without a namespace calls all listeners of the type.
+
+        DOM listeners are called with (event, matchedElement) and "this" as the element that matched the selector (delegation) or the target the
+        listener was added to. In-memory listeners are called with (data, {type, namespaces}).
+        */
+        eventBus: (function () {
+            var domListeners = new WeakMap(),
+                emitNamespaces = null;
+
+            var parseEvents = function (events) {
+                return String(events || '').split(/\s+/).filter(function (name) {
+                    return !!name;
+                }).map(function (name) {
+                    var parts = name.split('.');
+                    return { type: parts[0] === '*' ? '' : parts[0], namespaces: parts.slice(1).filter(function (ns) { return !!ns; }) };
+                });
+            };
+
+            var isEventTarget = function (value) {
+                return !!value && typeof value === 'object' && typeof value.addEventListener === 'function';
+            };
+
+            var containsAll = function (namespaces, required) {
+                return required.every(function (ns) {
+                    return namespaces.indexOf(ns) !== -1;
+                });
+            };
+
+            //Splits (target?, events, selector?, handler, options?) into its parts
+            var parseArguments = function (args) {
+                var parsed = { target: null, events: undefined, selector: null, handler: undefined, options: undefined };
+
+                args = pub.toArray(args);
+                if (isEventTarget(args[0])) parsed.target = args.shift();
+                parsed.events = args.shift();
+                if (typeof args[0] === 'string') parsed.selector = args.shift();
+                parsed.handler = args.shift();
+                parsed.options = args.shift() || {};
+
+                return parsed;
+            };
+
+            var recordMatches = function (record, query, selector, handler) {
+                return (!query.type || record.type === query.type) &&
+                    containsAll(record.namespaces, query.namespaces) &&
+                    (!selector || record.selector === selector) &&
+                    (!handler || record.handler === handler);
+            };
+
+            var createEventBus = function () {
+                var memoryListeners = [];
+
+                var addDomListener = function (target, event, selector, handler, options, once) {
+                    var records = domListeners.get(target) || [],
+                        capture = typeof options === 'boolean' ? options : !!options.capture,
+                        record = { type: event.type.toLowerCase(), namespaces: event.namespaces, selector: selector, handler: handler, capture: capture };
+
+                    record.wrapper = function (evt) {
+                        var match = target, node;
+
+                        if (emitNamespaces && evt.type === emitNamespaces.type && !containsAll(record.namespaces, emitNamespaces.namespaces)) return;
+
+                        if (selector) {
+                            node = evt.target && evt.target.nodeType !== 1 ? evt.target.parentElement : evt.target;
+                            if (!node || node.nodeType !== 1) return;
+                            match = pub.nodeMatchesSelector(node, selector) ? node : pub.findParentNode(node, selector);
+                            if (!match || match === target || !target.contains || !target.contains(match)) return;
+                        }
+
+                        if (once) removeRecords(target, function (candidate) { return candidate === record; });
+                        return handler.call(match, evt, match);
+                    };
+
+                    records.push(record);
+                    domListeners.set(target, records);
+                    target.addEventListener(record.type, record.wrapper, options);
+
+                    return record;
+                };
+
+                var removeRecords = function (target, predicate) {
+                    var records = domListeners.get(target) || [];
+
+                    domListeners.set(target, records.filter(function (record) {
+                        if (!predicate(record)) return true;
+                        target.removeEventListener(record.type, record.wrapper, record.capture);
+                        return false;
+                    }));
+                };
+
+                var add = function (args, once) {
+                    var parsed = parseArguments(args),
+                        events = parseEvents(parsed.events);
+
+                    if (typeof parsed.handler !== 'function') throw new Error('The event handler must be a function');
+                    if (parsed.selector && !parsed.target) throw new Error('Delegated listeners require a DOM event target');
+
+                    var added = events.map(function (event) {
+                        var record;
+
+                        if (!event.type) throw new Error('An event type is required when adding listeners');
+                        if (parsed.target) {
+                            return addDomListener(parsed.target, event, parsed.selector, parsed.handler, parsed.options, once);
+                        }
+
+                        record = { type: event.type, namespaces: event.namespaces, handler: parsed.handler, once: once };
+                        memoryListeners.push(record);
+                        return record;
+                    });
+
+                    return function () {
+                        var isAdded = function (record) {
+                            return added.indexOf(record) !== -1;
+                        };
+
+                        if (parsed.target) {
+                            removeRecords(parsed.target, isAdded);
+                        } else {
+                            memoryListeners = memoryListeners.filter(function (record) {
+                                return !isAdded(record);
+                            });
+                        }
+                    };
+                };
+
+                var bus = {
+                    /**
+                    Adds a listener. See fossen.eventBus.
+                    @param {EventTarget} [target] The DOM target, leave out for the in-memory bus.
+                    @param {string} events One or more space separated (namespaced) event names.
+                    @param {string} [selector] Only call the handler for events from descendants of target matching the selector (DOM only).
+                    @param {function} handler The handler.
+                    @param {object} [options] Options given to addEventListener (DOM only).
+                    @returns {function} A function that removes the listener.
+                    */
+                    on: function () {
+                        return add(arguments, false);
+                    },
+                    /**
+                    Adds a listener that is removed after it has been called once. Takes the same arguments as on.
+                    @returns {function} A function that removes the listener.
+                    */
+                    once: function () {
+                        return add(arguments, true);
+                    },
+                    /**
+                    Removes listeners matching the given event names, selector and handler. Everything not given matches all listeners.
+                    @param {EventTarget} [target] The DOM target, leave out for the in-memory bus.
+                    @param {string} [events] Space separated event names, namespaces or wildcards (e.g. "save", "save.editor", ".editor", "*").
+                    @param {string} [selector] The selector the listeners were delegated with.
+                    @param {function} [handler] The handler.
+                    */
+                    off: function () {
+                        var parsed = parseArguments(arguments),
+                            queries = parsed.events ? parseEvents(parsed.events) : [{ type: '', namespaces: [] }];
+
+                        if (typeof parsed.events === 'function') {
+                            parsed.handler = parsed.events;
+                            queries = [{ type: '', namespaces: [] }];
+                        }
+
+                        queries.forEach(function (query) {
+                            if (parsed.target) {
+                                query.type = query.type.toLowerCase();
+                                removeRecords(parsed.target, function (record) {
+                                    return recordMatches(record, query, parsed.selector, parsed.handler);
+                                });
+                            } else {
+                                memoryListeners = memoryListeners.filter(function (record) {
+                                    return !recordMatches(record, query, null, parsed.handler);
+                                });
+                            }
+                        });
+                    },
+                    /**
+                    Emits an event. On a DOM target the event is dispatched with fossen.dispatchCustomEvent and the event object is returned.
+                    On the in-memory bus the listeners are called synchronously and the number of called listeners is returned.
+                    @param {EventTarget} [target] The DOM target, leave out for the in-memory bus.
+                    @param {string} name The (namespaced) event name.
+                    @param {*} [data] The event data.
+                    @param {object} [options] Optional {bubbles: bool, cancelable: bool} (DOM only).
+                    @returns {Event|int} The dispatched event or the number of called listeners.
+                    */
+                    emit: function (target, name, data, options) {
+                        var event, previousNamespaces, called = 0;
+
+                        if (!isEventTarget(target)) {
+                            options = data;
+                            data = name;
+                            name = target;
+                            target = null;
+                        }
+                        event = parseEvents(name)[0];
+                        if (!event || !event.type) throw new Error('An event type is required when emitting');
+
+                        if (target) {
+                            options = options || {};
+                            previousNamespaces = emitNamespaces;
+                            emitNamespaces = event.namespaces.length ? { type: event.type.toLowerCase(), namespaces: event.namespaces } : null;
+                            try {
+                                return pub.dispatchCustomEvent(event.type, data, target, options.bubbles, options.cancelable);
+                            } finally {
+                                emitNamespaces = previousNamespaces;
+                            }
+                        }
+
+                        memoryListeners.slice().forEach(function (record) {
+                            if (record.type !== event.type || !containsAll(record.namespaces, event.namespaces)) return;
+                            if (memoryListeners.indexOf(record) === -1) return;
+                            if (record.once) memoryListeners.splice(memoryListeners.indexOf(record), 1);
+
+                            called++;
+                            try {
+                                record.handler(data, { type: event.type, namespaces: event.namespaces });
+                            } catch (e) {
+                                //Report the error without stopping the other listeners, like DOM events do
+                                setTimeout(function () {
+                                    throw e;
+                                }, 0);
+                            }
+                        });
+
+                        return called;
+                    },
+                    /**
+                    Returns a promise for the next event matching the predicate.
+                    Resolves with the event object (DOM) or the data (in-memory bus).
+                    @param {EventTarget} [target] The DOM target, leave out for the in-memory bus.
+                    @param {string} events One or more space separated (namespaced) event names.
+                    @param {function} [predicate] Given the same arguments as a listener, return true for the event to wait for.
+                    @param {object} [options] Optional {timeout: int (ms), signal: AbortSignal}. The promise rejects if the signal aborts or with a fossen.errors.TimeoutError if the timeout passes.
+                    @returns {Promise} A promise for the event.
+                    */
+                    waitFor: function (target, events, predicate, options) {
+                        if (!isEventTarget(target)) {
+                            options = predicate;
+                            predicate = events;
+                            events = target;
+                            target = null;
+                        }
+                        if (predicate && typeof predicate === 'object') {
+                            options = predicate;
+                            predicate = null;
+                        }
+                        options = options || {};
+
+                        return new Promise(function (resolve, reject) {
+                            var timeout, remove;
+
+                            var cleanUp = function () {
+                                remove();
+                                clearTimeout(timeout);
+                                if (options.signal) options.signal.removeEventListener('abort', onAbort);
+                            };
+                            var onAbort = function () {
+                                cleanUp();
+                                reject(new Error('Stopped waiting for "' + events + '"'));
+                            };
+                            var listener = function (first) {
+                                if (predicate && !predicate.apply(this, arguments)) return;
+                                cleanUp();
+                                resolve(first);
+                            };
+
+                            remove = target ? bus.on(target, events, listener) : bus.on(events, listener);
+
+                            if (options.signal) {
+                                if (options.signal.aborted) {
+                                    onAbort();
+                                    return;
+                                }
+                                options.signal.addEventListener('abort', onAbort);
+                            }
+                            if (options.timeout) {
+                                timeout = setTimeout(function () {
+                                    cleanUp();
+                                    reject(new pub.errors.TimeoutError('Timed out waiting for "' + events + '"', { timeout: options.timeout }));
+                                }, options.timeout);
+                            }
+                        });
+                    },
+                    create: createEventBus
+                };
+
+                return bus;
+            };
+
+            return createEventBus();
+        })(),
+        /**
+        Adds an event listener to a DOM target or the in-memory bus (see fossen.eventBus).
+        E.g.:
+        fossen.on(table, 'click.grid', 'tr[data-id]', function (evt, row) { ... });
+        fossen.on('save.editor', function (data) { ... });
+        @returns {function} A function that removes the listener.
+        */
+        on: function () {
+            return pub.eventBus.on.apply(pub.eventBus, arguments);
+        },
+        /**
+        Removes event listeners from a DOM target or the in-memory bus (see fossen.eventBus).
+        E.g.:
+        fossen.off(table, '.grid');
+        fossen.off('.editor');
+        */
+        off: function () {
+            return pub.eventBus.off.apply(pub.eventBus, arguments);
+        },
+        /**
+        Adds an event listener that is removed after it has been called once (see fossen.eventBus).
+        @returns {function} A function that removes the listener.
+        */
+        once: function () {
+            return pub.eventBus.once.apply(pub.eventBus, arguments);
+        },
+        /**
+        Emits an event on a DOM target or the in-memory bus (see fossen.eventBus).
+        E.g.:
+        fossen.emit(form, 'save.editor', { id: 42 });
+        fossen.emit('save.editor', { id: 42 });
+        @returns {Event|int} The dispatched event or the number of called listeners.
+        */
+        emit: function () {
+            return pub.eventBus.emit.apply(pub.eventBus, arguments);
+        },
+        /**
+        Returns a promise for the next event matching a predicate on a DOM target or the in-memory bus (see fossen.eventBus).
+        E.g.:
+        fossen.waitForEvent('save.editor', function (data) { return data.id === 42; }, { timeout: 5000 }).then(...);
+        @returns {Promise} A promise for the event.
+        */
+        waitForEvent: function () {
+            return pub.eventBus.waitFor.apply(pub.eventBus, arguments);
         }
     };
 